@@ -14,12 +14,24 @@ type Pages = {
   "/": {
     params: {};
   };
+  "/webhooks/inventory_levels/update": {
+    params: {};
+  };
+  "/webhooks/bulk_operations/finish": {
+    params: {};
+  };
   "/webhooks/app/scopes_update": {
     params: {};
   };
   "/webhooks/app/uninstalled": {
     params: {};
   };
+  "/webhooks/products/delete": {
+    params: {};
+  };
+  "/webhooks/products/update": {
+    params: {};
+  };
   "/auth/login": {
     params: {};
   };
@@ -31,18 +43,35 @@ type Pages = {
   "/app": {
     params: {};
   };
-  "/app/additional": {
+  "/app/customer-companies": {
+    params: {};
+  };
+  "/app/discount-rules": {
+    params: {};
+  };
+  "/app/part-numbers": {
     params: {};
   };
   "/app/customers": {
     params: {};
   };
+  "/app/settings": {
+    params: {};
+  };
 };
 
 type RouteFiles = {
   "root.jsx": {
     id: "root";
-    page: "/" | "/webhooks/app/scopes_update" | "/webhooks/app/uninstalled" | "/auth/login" | "/auth/*" | "/app" | "/app/additional" | "/app/customers";
+    page: "/" | "/webhooks/inventory_levels/update" | "/webhooks/bulk_operations/finish" | "/webhooks/app/scopes_update" | "/webhooks/app/uninstalled" | "/webhooks/products/delete" | "/webhooks/products/update" | "/auth/login" | "/auth/*" | "/app" | "/app/customer-companies" | "/app/discount-rules" | "/app/part-numbers" | "/app/customers" | "/app/settings";
+  };
+  "routes/webhooks.inventory_levels.update.jsx": {
+    id: "routes/webhooks.inventory_levels.update";
+    page: "/webhooks/inventory_levels/update";
+  };
+  "routes/webhooks.bulk_operations.finish.jsx": {
+    id: "routes/webhooks.bulk_operations.finish";
+    page: "/webhooks/bulk_operations/finish";
   };
   "routes/webhooks.app.scopes_update.jsx": {
     id: "routes/webhooks.app.scopes_update";
@@ -52,6 +81,14 @@ type RouteFiles = {
     id: "routes/webhooks.app.uninstalled";
     page: "/webhooks/app/uninstalled";
   };
+  "routes/webhooks.products.delete.jsx": {
+    id: "routes/webhooks.products.delete";
+    page: "/webhooks/products/delete";
+  };
+  "routes/webhooks.products.update.jsx": {
+    id: "routes/webhooks.products.update";
+    page: "/webhooks/products/update";
+  };
   "routes/auth.login/route.jsx": {
     id: "routes/auth.login";
     page: "/auth/login";
@@ -66,16 +103,28 @@ type RouteFiles = {
   };
   "routes/app.jsx": {
     id: "routes/app";
-    page: "/app" | "/app/additional" | "/app/customers";
+    page: "/app" | "/app/customer-companies" | "/app/discount-rules" | "/app/part-numbers" | "/app/customers" | "/app/settings";
+  };
+  "routes/app.customer-companies.jsx": {
+    id: "routes/app.customer-companies";
+    page: "/app/customer-companies";
   };
-  "routes/app.additional.jsx": {
-    id: "routes/app.additional";
-    page: "/app/additional";
+  "routes/app.discount-rules.jsx": {
+    id: "routes/app.discount-rules";
+    page: "/app/discount-rules";
+  };
+  "routes/app.part-numbers.jsx": {
+    id: "routes/app.part-numbers";
+    page: "/app/part-numbers";
   };
   "routes/app.customers.jsx": {
     id: "routes/app.customers";
     page: "/app/customers";
   };
+  "routes/app.settings.jsx": {
+    id: "routes/app.settings";
+    page: "/app/settings";
+  };
   "routes/app._index.jsx": {
     id: "routes/app._index";
     page: "/app";
@@ -84,13 +133,20 @@ type RouteFiles = {
 
 type RouteModules = {
   "root": typeof import("./app/root.jsx");
+  "routes/webhooks.inventory_levels.update": typeof import("./app/routes/webhooks.inventory_levels.update.jsx");
+  "routes/webhooks.bulk_operations.finish": typeof import("./app/routes/webhooks.bulk_operations.finish.jsx");
   "routes/webhooks.app.scopes_update": typeof import("./app/routes/webhooks.app.scopes_update.jsx");
   "routes/webhooks.app.uninstalled": typeof import("./app/routes/webhooks.app.uninstalled.jsx");
+  "routes/webhooks.products.delete": typeof import("./app/routes/webhooks.products.delete.jsx");
+  "routes/webhooks.products.update": typeof import("./app/routes/webhooks.products.update.jsx");
   "routes/auth.login": typeof import("./app/routes/auth.login/route.jsx");
   "routes/_index": typeof import("./app/routes/_index/route.jsx");
   "routes/auth.$": typeof import("./app/routes/auth.$.jsx");
   "routes/app": typeof import("./app/routes/app.jsx");
-  "routes/app.additional": typeof import("./app/routes/app.additional.jsx");
+  "routes/app.customer-companies": typeof import("./app/routes/app.customer-companies.jsx");
+  "routes/app.discount-rules": typeof import("./app/routes/app.discount-rules.jsx");
+  "routes/app.part-numbers": typeof import("./app/routes/app.part-numbers.jsx");
   "routes/app.customers": typeof import("./app/routes/app.customers.jsx");
+  "routes/app.settings": typeof import("./app/routes/app.settings.jsx");
   "routes/app._index": typeof import("./app/routes/app._index.jsx");
 };
\ No newline at end of file
@@ -14,7 +14,7 @@ type Matches = [{
   module: typeof import("../root.js");
 }];
 
-type Annotations = GetAnnotations<Info & { module: Module, matches: Matches }, false>;
+type Annotations = GetAnnotations<Info & { module: Module, matches: Matches }>;
 
 export namespace Route {
   // links
@@ -51,9 +51,18 @@ export namespace Route {
   // HydrateFallback
   export type HydrateFallbackProps = Annotations["HydrateFallbackProps"];
 
+  // ServerHydrateFallback
+  export type ServerHydrateFallbackProps = Annotations["ServerHydrateFallbackProps"];
+
   // Component
   export type ComponentProps = Annotations["ComponentProps"];
 
+  // ServerComponent
+  export type ServerComponentProps = Annotations["ServerComponentProps"];
+
   // ErrorBoundary
   export type ErrorBoundaryProps = Annotations["ErrorBoundaryProps"];
+
+  // ServerErrorBoundary
+  export type ServerErrorBoundaryProps = Annotations["ServerErrorBoundaryProps"];
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { createGraphqlScheduler } from "../utils/adminGraphql.server";
+
+// Variants per request; each resolves publication and contextual pricing.
+const VARIANT_BATCH_SIZE = 50;
+
+const B2B_RULES_QUERY = `#graphql
+  query b2bVariantRules($ids: [ID!]!, $companyLocationId: ID!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        product {
+          publishedInContext(context: { companyLocationId: $companyLocationId })
+        }
+        contextualPricing(context: { companyLocationId: $companyLocationId }) {
+          quantityRule {
+            minimum
+            maximum
+            increment
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Whether each variant is in the company location's B2B catalog, and the
+ * quantity rule (minimum, maximum, increment) its price list sets.
+ *
+ * Returns a Map of variant GID -> { inCatalog, quantityRule }, where
+ * quantityRule is null for the default rule (min 1, increment 1, no max).
+ */
+export async function getB2BRules(admin, companyLocationId, variantIds) {
+  const rules = new Map();
+  if (!companyLocationId || variantIds.length === 0) return rules;
+
+  const scheduler = createGraphqlScheduler(admin);
+
+  for (let i = 0; i < variantIds.length; i += VARIANT_BATCH_SIZE) {
+    const json = await scheduler.request(B2B_RULES_QUERY, {
+      variables: {
+        ids: variantIds.slice(i, i + VARIANT_BATCH_SIZE),
+        companyLocationId,
+      },
+    });
+
+    for (const node of json?.data?.nodes || []) {
+      if (!node?.id) continue;
+
+      const rule = node.contextualPricing?.quantityRule;
+      const isDefaultRule =
+        !rule || (rule.minimum <= 1 && rule.increment <= 1 && rule.maximum == null);
+
+      rules.set(node.id, {
+        inCatalog: node.product?.publishedInContext !== false,
+        quantityRule: isDefaultRule
+          ? null
+          : {
+              minimum: rule.minimum,
+              maximum: rule.maximum ?? null,
+              increment: rule.increment || 1,
+            },
+      });
+    }
+  }
+
+  console.log("getB2BRules:", {
+    companyLocationId,
+    variants: rules.size,
+    notInCatalog: [...rules.values()].filter((rule) => !rule.inCatalog).length,
+  });
+
+  return rules;
+}
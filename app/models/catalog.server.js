@@ -0,0 +1,514 @@
+import readline from "node:readline";
+import { Readable } from "node:stream";
+
+import db from "../db.server";
+import { foldSku, normalizeSku } from "../utils/identifiers";
+
+// Rows per createMany when loading bulk operation results.
+const INSERT_CHUNK_SIZE = 1000;
+
+// How long a "running" sync is trusted before the loader asks Shopify for the
+// bulk operation status itself (in case the finish webhook never arrived).
+const SYNC_POLL_AFTER_MS = 60 * 1000;
+
+const CATALOG_BULK_QUERY = `{
+  productVariants {
+    edges {
+      node {
+        id
+        sku
+        barcode
+        displayName
+        inventoryPolicy
+        product { id status }
+        inventoryItem {
+          id
+          inventoryLevels {
+            edges {
+              node {
+                id
+                location { id }
+                quantities(names: ["available"]) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const toGid = (type, id) => (id ? `gid://shopify/${type}/${id}` : null);
+
+function availableFromQuantities(quantities) {
+  const entry = (quantities || []).find((q) => q.name === "available");
+  return typeof entry?.quantity === "number" ? entry.quantity : 0;
+}
+
+/**
+ * Helper: shape a CatalogVariant row (plus its levels) like the variant
+ * records returned by live lookups.
+ */
+function toVariantRecord(variant, levels) {
+  return {
+    id: variant.variantId,
+    productId: variant.productId,
+    productStatus: variant.productStatus,
+    sku: variant.sku || "",
+    barcode: variant.barcode || "",
+    displayName: variant.displayName,
+    inventoryPolicy: variant.inventoryPolicy,
+    inventoryItemId: variant.inventoryItemId,
+    levels: levels.map((level) => ({
+      locationId: level.locationId,
+      available: level.available,
+    })),
+    source: "cache",
+  };
+}
+
+// Catalog column each identifier type is matched against (see normalizeIdentifier).
+const CACHE_KEY_COLUMNS = {
+  sku: "skuNormalized",
+  barcode: "barcode",
+  id: "variantId",
+};
+
+/**
+ * Look identifiers up in the catalog cache. `keys` are already normalised
+ * for `type` ("sku", "barcode" or "id").
+ * Returns a Map keyed by normalised identifier with an array of variant
+ * records. Identifiers with no cached variant are absent from the Map.
+ */
+export async function findCachedVariants(shop, type, keys) {
+  const column = CACHE_KEY_COLUMNS[type];
+  const uniqueKeys = [...new Set(keys.filter(Boolean))];
+  const results = new Map();
+  if (!shop || !column || uniqueKeys.length === 0) return results;
+
+  const variants = await db.catalogVariant.findMany({
+    where: { shop, [column]: { in: uniqueKeys } },
+    orderBy: { id: "asc" },
+  });
+
+  const inventoryItemIds = variants.map((v) => v.inventoryItemId).filter(Boolean);
+  const levels = inventoryItemIds.length
+    ? await db.catalogInventoryLevel.findMany({
+        where: { shop, inventoryItemId: { in: inventoryItemIds } },
+      })
+    : [];
+
+  const levelsByItem = new Map();
+  for (const level of levels) {
+    const list = levelsByItem.get(level.inventoryItemId) || [];
+    list.push(level);
+    levelsByItem.set(level.inventoryItemId, list);
+  }
+
+  for (const variant of variants) {
+    const key = variant[column];
+    const list = results.get(key) || [];
+    list.push(toVariantRecord(variant, levelsByItem.get(variant.inventoryItemId) || []));
+    results.set(key, list);
+  }
+
+  return results;
+}
+
+/**
+ * Write variant records (from a live lookup) through to the cache.
+ */
+export async function cacheVariantRecords(shop, records) {
+  if (!shop) return;
+
+  for (const record of records) {
+    if (!record?.id || !record.productId) continue;
+
+    try {
+      await db.catalogVariant.upsert({
+        where: { shop_variantId: { shop, variantId: record.id } },
+        create: {
+          shop,
+          variantId: record.id,
+          productId: record.productId,
+          productStatus: record.productStatus || "ACTIVE",
+          sku: record.sku || null,
+          skuNormalized: normalizeSku(record.sku) || null,
+          skuFolded: foldSku(record.sku) || null,
+          barcode: record.barcode || null,
+          displayName: record.displayName || "",
+          inventoryPolicy: record.inventoryPolicy || "DENY",
+          inventoryItemId: record.inventoryItemId || null,
+        },
+        update: {
+          productStatus: record.productStatus || "ACTIVE",
+          sku: record.sku || null,
+          skuNormalized: normalizeSku(record.sku) || null,
+          skuFolded: foldSku(record.sku) || null,
+          barcode: record.barcode || null,
+          displayName: record.displayName || "",
+          inventoryPolicy: record.inventoryPolicy || "DENY",
+          inventoryItemId: record.inventoryItemId || null,
+        },
+      });
+
+      if (!record.inventoryItemId) continue;
+
+      for (const level of record.levels || []) {
+        if (!level.locationId) continue;
+        await upsertLevel(shop, record.inventoryItemId, level.locationId, level.available);
+      }
+    } catch (err) {
+      console.error("cacheVariantRecords: failed to cache variant", record.id, err);
+    }
+  }
+}
+
+function upsertLevel(shop, inventoryItemId, locationId, available) {
+  return db.catalogInventoryLevel.upsert({
+    where: {
+      shop_inventoryItemId_locationId: { shop, inventoryItemId, locationId },
+    },
+    create: { shop, inventoryItemId, locationId, available },
+    update: { available },
+  });
+}
+
+/**
+ * Start a bulk operation that exports every variant with its inventory levels.
+ * The result is loaded by completeCatalogSync once the operation finishes.
+ */
+export async function startCatalogSync(admin, shop) {
+  const resp = await admin.graphql(
+    `#graphql
+    mutation CatalogBulkExport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { query: CATALOG_BULK_QUERY } },
+  );
+
+  const json = await resp.json();
+  const result = json?.data?.bulkOperationRunQuery;
+  const userErrors = result?.userErrors || [];
+
+  if (userErrors.length || !result?.bulkOperation?.id) {
+    console.error("startCatalogSync: bulkOperationRunQuery failed", userErrors);
+    throw new Error(userErrors[0]?.message || "Unable to start catalog sync");
+  }
+
+  console.log("Catalog sync started:", shop, result.bulkOperation.id);
+
+  return db.catalogSync.upsert({
+    where: { shop },
+    create: {
+      shop,
+      status: "running",
+      bulkOperationId: result.bulkOperation.id,
+      startedAt: new Date(),
+    },
+    update: {
+      status: "running",
+      bulkOperationId: result.bulkOperation.id,
+      error: null,
+      startedAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Check a finished (or finishing) bulk operation and load its result file.
+ * Safe to call more than once for the same operation: the sync is claimed
+ * ("running" -> "loading") before the result is loaded, so only one caller
+ * loads it. Loading can take minutes; call it from the bulk_operations/finish
+ * webhook or in the background, never while a page request waits.
+ */
+export async function completeCatalogSync(admin, shop, bulkOperationId) {
+  const sync = await db.catalogSync.findUnique({ where: { shop } });
+  if (!sync || sync.bulkOperationId !== bulkOperationId) {
+    console.log("completeCatalogSync: ignoring unrelated bulk operation", bulkOperationId);
+    return sync;
+  }
+  if (sync.status !== "running") return sync;
+
+  const resp = await admin.graphql(
+    `#graphql
+    query CatalogBulkStatus($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          url
+        }
+      }
+    }`,
+    { variables: { id: bulkOperationId } },
+  );
+
+  const json = await resp.json();
+  const operation = json?.data?.node;
+
+  if (operation?.status === "RUNNING" || operation?.status === "CREATED") {
+    return sync;
+  }
+
+  if (operation?.status !== "COMPLETED") {
+    const error = operation?.errorCode || operation?.status || "Bulk operation not found";
+    console.error("Catalog sync failed:", shop, error);
+    return finishCatalogSync(shop, bulkOperationId, "running", { status: "failed", error });
+  }
+
+  const { count } = await db.catalogSync.updateMany({
+    where: { shop, bulkOperationId, status: "running" },
+    data: { status: "loading" },
+  });
+  if (count !== 1) {
+    console.log("completeCatalogSync: result already being loaded", bulkOperationId);
+    return db.catalogSync.findUnique({ where: { shop } });
+  }
+
+  try {
+    // An empty shop produces no result file.
+    const variantCount = operation.url ? await loadBulkResult(shop, operation.url) : 0;
+
+    console.log("Catalog sync completed:", shop, variantCount, "variants");
+
+    return finishCatalogSync(shop, bulkOperationId, "loading", {
+      status: "completed",
+      variantCount,
+      completedAt: new Date(),
+      error: null,
+    });
+  } catch (err) {
+    console.error("Catalog sync: failed to load bulk result", err);
+    return finishCatalogSync(shop, bulkOperationId, "loading", {
+      status: "failed",
+      error: err.message || "Failed to load result",
+    });
+  }
+}
+
+/**
+ * Helper: record the outcome of a sync, unless a newer sync has replaced it
+ * (or it has left `fromStatus`) meanwhile. Returns the current sync.
+ */
+async function finishCatalogSync(shop, bulkOperationId, fromStatus, data) {
+  await db.catalogSync.updateMany({
+    where: { shop, bulkOperationId, status: fromStatus },
+    data,
+  });
+
+  return db.catalogSync.findUnique({ where: { shop } });
+}
+
+/**
+ * Replace the shop's cached catalog with the contents of a bulk operation
+ * JSONL file. The file is streamed and inserted INSERT_CHUNK_SIZE rows at a
+ * time inside one transaction, so a large catalog is never held in memory
+ * and a failed load leaves the old cache in place. Returns the number of
+ * variants loaded.
+ */
+async function loadBulkResult(shop, url) {
+  const resp = await fetch(url);
+  if (!resp.ok || !resp.body) {
+    throw new Error(`Bulk result download failed: HTTP ${resp.status}`);
+  }
+
+  const lines = readline.createInterface({
+    input: Readable.fromWeb(resp.body),
+    crlfDelay: Infinity,
+  });
+
+  let variantCount = 0;
+
+  await db.$transaction(
+    async (tx) => {
+      await tx.catalogInventoryLevel.deleteMany({ where: { shop } });
+      await tx.catalogVariant.deleteMany({ where: { shop } });
+
+      // Only the variant -> inventory item link is kept across batches, to
+      // place levels whose parent is the variant.
+      const inventoryItemByVariant = new Map();
+      let variants = [];
+      let levels = [];
+
+      const flush = async () => {
+        if (variants.length) {
+          await tx.catalogVariant.createMany({ data: variants, skipDuplicates: true });
+        }
+        if (levels.length) {
+          await tx.catalogInventoryLevel.createMany({ data: levels, skipDuplicates: true });
+        }
+        variants = [];
+        levels = [];
+      };
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        const node = JSON.parse(line);
+
+        if (node.id?.startsWith("gid://shopify/ProductVariant/")) {
+          const inventoryItemId = node.inventoryItem?.id || null;
+          inventoryItemByVariant.set(node.id, inventoryItemId);
+          variantCount += 1;
+          variants.push({
+            shop,
+            variantId: node.id,
+            productId: node.product?.id || "",
+            productStatus: node.product?.status || "ACTIVE",
+            sku: node.sku || null,
+            skuNormalized: normalizeSku(node.sku) || null,
+            skuFolded: foldSku(node.sku) || null,
+            barcode: node.barcode || null,
+            displayName: node.displayName || "",
+            inventoryPolicy: node.inventoryPolicy || "DENY",
+            inventoryItemId,
+          });
+        } else if (node.__parentId && node.location?.id) {
+          // Levels hang off the variant in the export; tolerate an InventoryItem parent too.
+          const inventoryItemId = node.__parentId.startsWith("gid://shopify/InventoryItem/")
+            ? node.__parentId
+            : inventoryItemByVariant.get(node.__parentId);
+          if (!inventoryItemId) continue;
+
+          levels.push({
+            shop,
+            inventoryItemId,
+            locationId: node.location.id,
+            available: availableFromQuantities(node.quantities),
+          });
+        }
+
+        if (variants.length + levels.length >= INSERT_CHUNK_SIZE) await flush();
+      }
+
+      await flush();
+    },
+    { timeout: 5 * 60 * 1000 },
+  );
+
+  return variantCount;
+}
+
+/**
+ * Catalog cache state for the history page. When a sync has been running for
+ * a while, Shopify is asked about it in the background (see
+ * completeCatalogSync) so a missed webhook can't leave it stuck; the status
+ * returned is the one stored now.
+ */
+export async function getCatalogStatus(admin, shop) {
+  if (!shop) return null;
+
+  const sync = await db.catalogSync.findUnique({ where: { shop } });
+
+  if (
+    sync?.status === "running" &&
+    sync.bulkOperationId &&
+    Date.now() - new Date(sync.startedAt).getTime() > SYNC_POLL_AFTER_MS
+  ) {
+    completeCatalogSync(admin, shop, sync.bulkOperationId).catch((err) => {
+      console.error("getCatalogStatus: failed to poll bulk operation", err);
+    });
+  }
+
+  return sync;
+}
+
+async function touchLastWebhook(shop) {
+  await db.catalogSync.upsert({
+    where: { shop },
+    create: { shop, status: "idle", lastWebhookAt: new Date() },
+    update: { lastWebhookAt: new Date() },
+  });
+}
+
+/**
+ * products/update webhook: refresh the product's variants and drop any that
+ * were deleted from it.
+ */
+export async function applyProductUpdate(shop, payload) {
+  const productId = payload?.admin_graphql_api_id || toGid("Product", payload?.id);
+  if (!productId) return;
+
+  const variants = payload.variants || [];
+  const variantIds = [];
+
+  for (const variant of variants) {
+    const variantId = variant.admin_graphql_api_id || toGid("ProductVariant", variant.id);
+    if (!variantId) continue;
+    variantIds.push(variantId);
+
+    const displayName = `${payload.title || ""} - ${variant.title || ""}`;
+    const fields = {
+      productId,
+      productStatus: String(payload.status || "active").toUpperCase(),
+      sku: variant.sku || null,
+      skuNormalized: normalizeSku(variant.sku) || null,
+      skuFolded: foldSku(variant.sku) || null,
+      barcode: variant.barcode || null,
+      displayName,
+      inventoryPolicy: String(variant.inventory_policy || "deny").toUpperCase(),
+      inventoryItemId: toGid("InventoryItem", variant.inventory_item_id),
+    };
+
+    await db.catalogVariant.upsert({
+      where: { shop_variantId: { shop, variantId } },
+      create: { shop, variantId, ...fields },
+      update: fields,
+    });
+  }
+
+  await db.catalogVariant.deleteMany({
+    where: { shop, productId, variantId: { notIn: variantIds } },
+  });
+
+  await touchLastWebhook(shop);
+}
+
+/**
+ * products/delete webhook: drop the product's variants and their inventory
+ * levels, so lookups stop matching variants that no longer exist.
+ */
+export async function applyProductDelete(shop, payload) {
+  const productId = payload?.admin_graphql_api_id || toGid("Product", payload?.id);
+  if (!productId) return;
+
+  const variants = await db.catalogVariant.findMany({
+    where: { shop, productId },
+    select: { inventoryItemId: true },
+  });
+  const inventoryItemIds = variants.map((v) => v.inventoryItemId).filter(Boolean);
+
+  await db.$transaction([
+    db.catalogInventoryLevel.deleteMany({
+      where: { shop, inventoryItemId: { in: inventoryItemIds } },
+    }),
+    db.catalogVariant.deleteMany({ where: { shop, productId } }),
+  ]);
+
+  await touchLastWebhook(shop);
+}
+
+/**
+ * inventory_levels/update webhook: store the new available quantity.
+ */
+export async function applyInventoryLevelUpdate(shop, payload) {
+  const inventoryItemId = toGid("InventoryItem", payload?.inventory_item_id);
+  const locationId = toGid("Location", payload?.location_id);
+  if (!inventoryItemId || !locationId) return;
+
+  await upsertLevel(shop, inventoryItemId, locationId, Number(payload.available || 0));
+  await touchLastWebhook(shop);
+}
@@ -0,0 +1,133 @@
+import db from "../db.server";
+import { createGraphqlScheduler } from "../utils/adminGraphql.server";
+
+// Drafts per request. Each reads up to 100 line items, which keeps a page
+// well under the 1000 point single-query cost cap.
+const DRAFTS_PER_PAGE = 5;
+
+// Most drafts read per preview. App drafts are read newest first, so the ones
+// dropped are the oldest (and most likely completed or deleted).
+const MAX_DRAFTS = 250;
+
+// Used until Shopify reports the real requestedQueryCost.
+const ESTIMATED_PAGE_COST = 600;
+
+// Draft statuses whose line items haven't reached an order yet. Inventory is
+// only committed once a draft is completed, so these units are still counted
+// as available.
+const OPEN_STATUSES = ["OPEN", "INVOICE_SENT"];
+
+const DRAFT_LINE_ITEMS_FRAGMENT = `#graphql
+  fragment CommittedDraft on DraftOrder {
+    id
+    status
+    lineItems(first: 100) {
+      edges {
+        node {
+          quantity
+          variant { id }
+        }
+      }
+    }
+  }
+`;
+
+const DRAFTS_BY_ID_QUERY = `#graphql
+  ${DRAFT_LINE_ITEMS_FRAGMENT}
+  query committedDraftsById($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ...CommittedDraft
+    }
+  }
+`;
+
+const OPEN_DRAFTS_QUERY = `#graphql
+  ${DRAFT_LINE_ITEMS_FRAGMENT}
+  query openDrafts($first: Int!, $after: String) {
+    draftOrders(first: $first, after: $after, query: "status:open OR status:invoice_sent", sortKey: UPDATED_AT, reverse: true) {
+      edges {
+        node {
+          ...CommittedDraft
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Quantities already on open draft orders, per variant: drafts created by this
+ * app (scope "app", from the upload history) or every open draft in the shop
+ * (scope "all").
+ *
+ * Returns a Map of variant GID -> committed quantity.
+ */
+export async function getCommittedQuantities(admin, { scope, shopNumericId }) {
+  const committed = new Map();
+
+  const scheduler = createGraphqlScheduler(admin);
+  let cost = ESTIMATED_PAGE_COST;
+
+  const request = async (query, variables) => {
+    const json = await scheduler.request(query, { variables, cost });
+    const requestedCost = json?.extensions?.cost?.requestedQueryCost;
+    if (typeof requestedCost === "number") cost = requestedCost;
+    return json;
+  };
+
+  const addDraft = (draft) => {
+    if (!draft || !OPEN_STATUSES.includes(draft.status)) return;
+
+    for (const edge of draft.lineItems?.edges || []) {
+      const variantId = edge?.node?.variant?.id;
+      if (!variantId) continue;
+      committed.set(variantId, (committed.get(variantId) || 0) + (edge.node.quantity || 0));
+    }
+  };
+
+  let draftsRead = 0;
+
+  if (scope === "all") {
+    let after = null;
+    do {
+      const json = await request(OPEN_DRAFTS_QUERY, { first: DRAFTS_PER_PAGE, after });
+      const connection = json?.data?.draftOrders;
+
+      for (const edge of connection?.edges || []) {
+        addDraft(edge?.node);
+        draftsRead++;
+      }
+
+      after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after && draftsRead < MAX_DRAFTS);
+  } else {
+    if (!shopNumericId) return committed;
+
+    const uploads = await db.bulkOrderUpload.findMany({
+      where: { shopId: shopNumericId, orderId: { startsWith: "gid://shopify/DraftOrder/" } },
+      select: { orderId: true },
+      orderBy: { createdAt: "desc" },
+      take: MAX_DRAFTS,
+    });
+    const draftIds = [...new Set(uploads.map((upload) => upload.orderId))];
+
+    for (let i = 0; i < draftIds.length; i += DRAFTS_PER_PAGE) {
+      const json = await request(DRAFTS_BY_ID_QUERY, { ids: draftIds.slice(i, i + DRAFTS_PER_PAGE) });
+      for (const node of json?.data?.nodes || []) {
+        addDraft(node);
+        draftsRead++;
+      }
+    }
+  }
+
+  console.log("getCommittedQuantities:", {
+    scope,
+    draftsRead,
+    variantsCommitted: committed.size,
+  });
+
+  return committed;
+}
@@ -0,0 +1,200 @@
+const LOCATIONS_PER_PAGE = 100;
+
+// Saved addresses offered per customer.
+const CUSTOMER_ADDRESSES = 50;
+
+const COMPANY_LOCATION_FRAGMENT = `#graphql
+  fragment PickerLocation on CompanyLocation {
+    id
+    name
+    shippingAddress {
+      recipient
+      firstName
+      lastName
+      companyName
+      address1
+      address2
+      city
+      zoneCode
+      zip
+      countryCode
+      phone
+    }
+  }
+`;
+
+const CUSTOMER_COMPANIES_QUERY = `#graphql
+  ${COMPANY_LOCATION_FRAGMENT}
+  query customerCompanies($id: ID!) {
+    customer(id: $id) {
+      id
+      companyContactProfiles {
+        id
+        company {
+          id
+          name
+          locations(first: ${LOCATIONS_PER_PAGE}) {
+            edges {
+              node {
+                ...PickerLocation
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const COMPANY_LOCATIONS_QUERY = `#graphql
+  ${COMPANY_LOCATION_FRAGMENT}
+  query companyLocations($id: ID!, $after: String) {
+    company(id: $id) {
+      locations(first: ${LOCATIONS_PER_PAGE}, after: $after) {
+        edges {
+          node {
+            ...PickerLocation
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const CUSTOMER_ADDRESSES_QUERY = `#graphql
+  query customerAddresses($id: ID!) {
+    customer(id: $id) {
+      defaultAddress {
+        id
+      }
+      addressesV2(first: ${CUSTOMER_ADDRESSES}) {
+        nodes {
+          id
+          firstName
+          lastName
+          company
+          address1
+          address2
+          city
+          provinceCode
+          zip
+          countryCodeV2
+          phone
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Helper: a company location's shipping address as a MailingAddressInput
+ * (see ADDRESS_FIELDS), or null.
+ */
+function toMailingAddress(companyAddress) {
+  if (!companyAddress?.address1) return null;
+
+  const [firstName = "", ...lastNames] = companyAddress.firstName
+    ? [companyAddress.firstName, companyAddress.lastName || ""]
+    : String(companyAddress.recipient || "").split(" ");
+
+  return {
+    firstName,
+    lastName: lastNames.join(" "),
+    company: companyAddress.companyName || "",
+    address1: companyAddress.address1,
+    address2: companyAddress.address2 || "",
+    city: companyAddress.city || "",
+    provinceCode: companyAddress.zoneCode || "",
+    zip: companyAddress.zip || "",
+    countryCode: companyAddress.countryCode || "",
+    phone: companyAddress.phone || "",
+  };
+}
+
+/**
+ * The companies a customer buys for (one per company contact profile), each
+ * with all of its locations.
+ *
+ * Returns [{ companyContactId, companyId, companyName, locations }], where
+ * locations are [{ id, name, shippingAddress }] (a MailingAddressInput or
+ * null).
+ */
+export async function listCustomerCompanies(admin, customerGid) {
+  if (!customerGid) return [];
+
+  const response = await admin.graphql(CUSTOMER_COMPANIES_QUERY, {
+    variables: { id: customerGid },
+  });
+  const json = await response.json();
+  const profiles = json?.data?.customer?.companyContactProfiles || [];
+
+  const companies = [];
+  for (const profile of profiles) {
+    if (!profile?.company?.id) continue;
+
+    const locations = [];
+    let connection = profile.company.locations;
+    for (;;) {
+      for (const edge of connection?.edges || []) {
+        locations.push({
+          id: edge.node.id,
+          name: edge.node.name,
+          shippingAddress: toMailingAddress(edge.node.shippingAddress),
+        });
+      }
+      if (!connection?.pageInfo?.hasNextPage) break;
+
+      const page = await admin.graphql(COMPANY_LOCATIONS_QUERY, {
+        variables: { id: profile.company.id, after: connection.pageInfo.endCursor },
+      });
+      connection = (await page.json())?.data?.company?.locations;
+    }
+
+    companies.push({
+      companyContactId: profile.id,
+      companyId: profile.company.id,
+      companyName: profile.company.name || "",
+      locations,
+    });
+  }
+
+  return companies;
+}
+
+/**
+ * A customer's saved addresses as MailingAddressInputs, default first.
+ */
+export async function listCustomerAddresses(admin, customerGid) {
+  if (!customerGid) return [];
+
+  const response = await admin.graphql(CUSTOMER_ADDRESSES_QUERY, {
+    variables: { id: customerGid },
+  });
+  const json = await response.json();
+  const customer = json?.data?.customer;
+  const defaultId = customer?.defaultAddress?.id;
+
+  return (customer?.addressesV2?.nodes || [])
+    .filter((address) => address.address1)
+    .sort((a, b) => Number(b.id === defaultId) - Number(a.id === defaultId))
+    .map((address) => ({
+      firstName: address.firstName || "",
+      lastName: address.lastName || "",
+      company: address.company || "",
+      address1: address.address1,
+      address2: address.address2 || "",
+      city: address.city || "",
+      provinceCode: address.provinceCode || "",
+      zip: address.zip || "",
+      countryCode: address.countryCodeV2 || "",
+      phone: address.phone || "",
+    }));
+}
@@ -0,0 +1,62 @@
+import db from "../db.server";
+
+const DISCOUNT_CODE_QUERY = `#graphql
+  query orderDiscountCode($code: String!) {
+    codeDiscountNodeByCode(code: $code) {
+      id
+      codeDiscount {
+        ... on DiscountCodeBasic {
+          title
+          status
+        }
+        ... on DiscountCodeBxgy {
+          title
+          status
+        }
+        ... on DiscountCodeFreeShipping {
+          title
+          status
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * The shop's order discount rules, lowest threshold first.
+ */
+export function listDiscountRules(shop) {
+  if (!shop) return [];
+
+  return db.orderDiscountRule.findMany({
+    where: { shop },
+    orderBy: [{ basis: "asc" }, { threshold: "asc" }],
+  });
+}
+
+export function saveDiscountRule(shop, { name, basis, threshold, valueType, value }) {
+  return db.orderDiscountRule.create({
+    data: { shop, name, basis, threshold, valueType, value },
+  });
+}
+
+export function deleteDiscountRule(shop, id) {
+  return db.orderDiscountRule.deleteMany({ where: { shop, id } });
+}
+
+/**
+ * Look up an existing discount code. Returns { code, title, status } or null
+ * when the shop has no such code.
+ */
+export async function findDiscountCode(admin, code) {
+  const response = await admin.graphql(DISCOUNT_CODE_QUERY, { variables: { code } });
+  const json = await response.json();
+  const node = json?.data?.codeDiscountNodeByCode;
+  if (!node) return null;
+
+  return {
+    code,
+    title: node.codeDiscount?.title || code,
+    status: node.codeDiscount?.status || null,
+  };
+}
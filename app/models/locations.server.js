@@ -0,0 +1,40 @@
+const LOCATIONS_QUERY = `#graphql
+  query fulfillmentLocations($after: String) {
+    locations(first: 100, after: $after, query: "active:true") {
+      edges {
+        node {
+          id
+          name
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * The shop's active locations as { id, name }, for the fulfillment location
+ * picker.
+ */
+export async function listLocations(admin) {
+  const locations = [];
+  let after = null;
+
+  do {
+    const response = await admin.graphql(LOCATIONS_QUERY, { variables: { after } });
+    const json = await response.json();
+    const connection = json?.data?.locations;
+
+    for (const edge of connection?.edges || []) {
+      locations.push({ id: edge.node.id, name: edge.node.name });
+    }
+
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  return locations;
+}
+
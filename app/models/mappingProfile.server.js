@@ -0,0 +1,58 @@
+import db from "../db.server";
+import { headerSignature } from "../utils/columnMapping";
+
+/**
+ * Saved column mapping profiles for a shop, newest first.
+ */
+export function listMappingProfiles(shop) {
+  if (!shop) return [];
+
+  return db.columnMappingProfile.findMany({
+    where: { shop },
+    orderBy: [{ lastUsedAt: { sort: "desc", nulls: "last" } }, { createdAt: "desc" }],
+  });
+}
+
+/**
+ * Find the profile to apply automatically to a file with these headers.
+ * A profile saved for this customer wins over a shop-wide one.
+ */
+export async function findMatchingProfile(shop, headers, customerId) {
+  if (!shop) return null;
+
+  const profiles = await db.columnMappingProfile.findMany({
+    where: {
+      shop,
+      headerSignature: headerSignature(headers),
+      OR: [{ customerId: null }, ...(customerId ? [{ customerId }] : [])],
+    },
+    orderBy: [{ lastUsedAt: { sort: "desc", nulls: "last" } }, { createdAt: "desc" }],
+  });
+
+  return profiles.find((p) => p.customerId) || profiles[0] || null;
+}
+
+/**
+ * Create or overwrite (by name) a mapping profile.
+ */
+export function saveMappingProfile(shop, { name, customerId, headers, mapping }) {
+  const data = {
+    customerId: customerId || null,
+    headerSignature: headerSignature(headers),
+    mapping,
+    lastUsedAt: new Date(),
+  };
+
+  return db.columnMappingProfile.upsert({
+    where: { shop_name: { shop, name } },
+    create: { shop, name, ...data },
+    update: data,
+  });
+}
+
+export function markMappingProfileUsed(id) {
+  return db.columnMappingProfile.update({
+    where: { id },
+    data: { lastUsedAt: new Date() },
+  });
+}
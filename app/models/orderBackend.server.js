@@ -0,0 +1,327 @@
+import { getShopSettings } from "./shopSettings.server";
+import { signedHeaders } from "../utils/requestSigning.server";
+
+/**
+ * Where bulk drafts are created and the customer picker's list comes from,
+ * chosen per shop on the settings page. Every backend has the same shape:
+ *
+ *   { key, label, idempotent, listCustomers(), createDraftOrder(payload) }
+ *
+ * listCustomers() resolves to [{ id, displayName, email }] (customer GIDs).
+ * createDraftOrder(payload) takes the payload built by the create intent and
+ * resolves to the draft ({ id, legacyResourceId, name }), or throws. The
+ * payload's idempotencyKey is the same for every attempt at the same draft;
+ * `idempotent` backends return the draft already made for a repeated key.
+ */
+
+export const ORDER_BACKENDS = [
+  { value: "shopify", label: "Shopify Admin API" },
+  { value: "external", label: "External order service" },
+  { value: "stub", label: "Local stub (development only)", devOnly: true },
+];
+
+// Same cap the external service applies to its customer list.
+const CUSTOMER_LIMIT = 250;
+
+const SHOP_ID_QUERY = `#graphql
+  query orderBackendShopId {
+    shop {
+      id
+    }
+  }
+`;
+
+const CUSTOMERS_QUERY = `#graphql
+  query orderBackendCustomers {
+    customers(first: ${CUSTOMER_LIMIT}, sortKey: NAME) {
+      nodes {
+        id
+        displayName
+        email
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_CREATE_MUTATION = `#graphql
+  mutation bulkDraftOrderCreate($input: DraftOrderInput!) {
+    draftOrderCreate(input: $input) {
+      draftOrder {
+        id
+        legacyResourceId
+        name
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function isDevelopment() {
+  return process.env.NODE_ENV !== "production";
+}
+
+/**
+ * The backends staff can pick from here (the stub only outside production).
+ */
+export function availableOrderBackends() {
+  return ORDER_BACKENDS.filter((backend) => !backend.devOnly || isDevelopment());
+}
+
+/**
+ * Helper: the create intent's payload as a DraftOrderInput. B2B drafts are
+ * placed for the company location, others for the customer. Fields only the
+ * external service uses (shop_id, customerName, requiredBy, totalQuantity,
+ * idempotencyKey) are dropped; required-by is already in the note and custom
+ * attributes. draftOrderCreate takes no idempotency key, so repeats are only
+ * caught by the create intent.
+ */
+function toDraftOrderInput(payload) {
+  const purchasingEntity = payload.companyLocationId
+    ? {
+        purchasingCompany: {
+          companyId: payload.companyId,
+          companyContactId: payload.companyContactId,
+          companyLocationId: payload.companyLocationId,
+        },
+      }
+    : { customerId: payload.customerId };
+
+  return {
+    purchasingEntity,
+    lineItems: payload.lineItems,
+    note: payload.note,
+    ...(payload.poNumber && { poNumber: payload.poNumber }),
+    ...(payload.tags?.length > 0 && { tags: payload.tags }),
+    ...(payload.shippingAddress && { shippingAddress: payload.shippingAddress }),
+    ...(payload.customAttributes?.length > 0 && { customAttributes: payload.customAttributes }),
+    ...(payload.discountCodes && { discountCodes: payload.discountCodes }),
+    ...(payload.appliedDiscount && { appliedDiscount: payload.appliedDiscount }),
+  };
+}
+
+/**
+ * Creates drafts with draftOrderCreate and lists customers through the shop's
+ * own Admin API; needs nothing outside Shopify.
+ */
+export function shopifyOrderBackend(admin) {
+  return {
+    key: "shopify",
+    label: "Shopify Admin API",
+    idempotent: false,
+
+    async listCustomers() {
+      const response = await admin.graphql(CUSTOMERS_QUERY);
+      const json = await response.json();
+      if (json.errors?.length) {
+        console.error("Shopify customers query errors:", json.errors);
+      }
+
+      return (json?.data?.customers?.nodes || []).map((customer) => ({
+        id: customer.id,
+        displayName: customer.displayName || "",
+        email: customer.email || "",
+      }));
+    },
+
+    async createDraftOrder(payload) {
+      const response = await admin.graphql(DRAFT_ORDER_CREATE_MUTATION, {
+        variables: { input: toDraftOrderInput(payload) },
+      });
+      const json = await response.json();
+      const result = json?.data?.draftOrderCreate;
+
+      if (json.errors?.length) {
+        console.error("draftOrderCreate GraphQL errors:", json.errors);
+        throw new Error(json.errors.map((e) => e.message).join("; "));
+      }
+      if (result?.userErrors?.length) {
+        console.error("draftOrderCreate user errors:", result.userErrors);
+        throw new Error(result.userErrors.map((e) => e.message).join("; "));
+      }
+      if (!result?.draftOrder) {
+        throw new Error("draftOrderCreate returned no draft order");
+      }
+
+      return result.draftOrder;
+    },
+  };
+}
+
+/**
+ * Helper: the URL of one of the external service's (OpenCart) routes under
+ * the shop's base URL.
+ */
+function externalRouteUrl(baseUrl, route) {
+  const url = new URL("index.php", baseUrl.replace(/\/*$/, "/"));
+  url.searchParams.set("route", route);
+  return url;
+}
+
+/**
+ * Helper: POST `body` to one of the external service's routes, signed with
+ * the shop's shared secret (see requestSigning.server.js), and return its
+ * JSON when it reports success, else throw. `extraHeaders` are sent as well.
+ */
+async function postToExternalService(
+  { externalBaseUrl, sharedSecret },
+  route,
+  body,
+  extraHeaders = {},
+) {
+  if (!externalBaseUrl) {
+    throw new Error("The external order service URL isn't set; add it on the Settings page");
+  }
+
+  const rawBody = JSON.stringify(body);
+  let headers = { "Content-Type": "application/json", ...extraHeaders };
+  if (sharedSecret) {
+    headers = { ...headers, ...signedHeaders(sharedSecret, rawBody) };
+  } else {
+    console.warn(`External ${route}: no shared secret set, sending the request unsigned`);
+  }
+
+  const resp = await fetch(externalRouteUrl(externalBaseUrl, route), {
+    method: "POST",
+    headers,
+    body: rawBody,
+  });
+
+  if (!resp.ok) {
+    const debugText = await resp.text();
+    console.error(`External ${route} HTTP error:`, resp.status, resp.statusText, debugText);
+    throw new Error(`External service HTTP error ${resp.status} ${resp.statusText}`);
+  }
+
+  let json = null;
+  try {
+    json = await resp.json();
+  } catch (e) {
+    console.error(`External ${route}: failed to parse JSON`, e);
+    throw new Error("External service returned an invalid JSON response");
+  }
+
+  if (!json || !json.success) {
+    console.error(`External ${route}: unsuccessful response`, json);
+    throw new Error(json?.error || "Unsuccessful response from the external service");
+  }
+
+  return json;
+}
+
+/**
+ * The external (OpenCart) order service at the shop's configured base URL,
+ * which creates drafts on the shop's behalf and keeps its own customer list.
+ * Draft requests carry their idempotency key in the payload and in an
+ * Idempotency-Key header, for the service to return the draft it already
+ * made for a repeated key.
+ */
+export function externalOrderBackend(shopNumericId, settings) {
+  return {
+    key: "external",
+    label: "External order service",
+    idempotent: true,
+
+    async listCustomers() {
+      const json = await postToExternalService(settings, "bloom/import_order/getCustomers", {
+        shop_id: shopNumericId,
+        limit: CUSTOMER_LIMIT,
+      });
+      return Array.isArray(json.customers) ? json.customers : [];
+    },
+
+    async createDraftOrder(payload) {
+      const json = await postToExternalService(
+        settings,
+        "bloom/import_order/DraftOrderCreate",
+        payload,
+        payload.idempotencyKey ? { "Idempotency-Key": payload.idempotencyKey } : {},
+      );
+      console.log("External DraftOrderCreate raw response:", json);
+
+      if (!json.draftOrder) {
+        throw new Error("The external service returned no draft order");
+      }
+      return json.draftOrder;
+    },
+  };
+}
+
+/**
+ * Check the external service is reachable at `settings.externalBaseUrl` and
+ * accepts requests signed with `settings.sharedSecret`, by asking it for one
+ * customer. Returns { ok, message }.
+ */
+export async function testExternalService(admin, settings) {
+  try {
+    const response = await admin.graphql(SHOP_ID_QUERY);
+    const shopGid = (await response.json())?.data?.shop?.id || "";
+    const shopNumericId = shopGid.split("/").pop() || null;
+
+    const json = await postToExternalService(settings, "bloom/import_order/getCustomers", {
+      shop_id: shopNumericId,
+      limit: 1,
+    });
+    const count = Array.isArray(json.customers) ? json.customers.length : 0;
+    return { ok: true, message: `Connected. The service returned ${count} customer(s).` };
+  } catch (err) {
+    console.error("External service connection test failed:", err);
+    return { ok: false, message: `Connection failed: ${err.message || "unknown error"}` };
+  }
+}
+
+let stubDraftCount = 0;
+const stubDraftsByKey = new Map();
+
+/**
+ * For local development: customers come from the shop (read only), and
+ * drafts are logged and given made-up IDs instead of being created. A
+ * repeated idempotency key gets the same made-up draft back.
+ */
+export function stubOrderBackend(admin) {
+  return {
+    key: "stub",
+    label: "Local stub",
+    idempotent: true,
+
+    listCustomers: () => shopifyOrderBackend(admin).listCustomers(),
+
+    async createDraftOrder(payload) {
+      if (payload.idempotencyKey && stubDraftsByKey.has(payload.idempotencyKey)) {
+        console.log("Stub order backend: repeated key", payload.idempotencyKey);
+        return stubDraftsByKey.get(payload.idempotencyKey);
+      }
+
+      stubDraftCount += 1;
+      const legacyResourceId = String(900000000 + stubDraftCount);
+      console.log("Stub order backend: draft not created, payload was:", payload);
+
+      const draftOrder = {
+        id: `gid://shopify/DraftOrder/${legacyResourceId}`,
+        legacyResourceId,
+        name: `#STUB${stubDraftCount}`,
+      };
+      if (payload.idempotencyKey) stubDraftsByKey.set(payload.idempotencyKey, draftOrder);
+      return draftOrder;
+    },
+  };
+}
+
+/**
+ * The order backend the shop has chosen. The stub is never used in
+ * production; shops that picked it get the Admin API backend there.
+ */
+export async function getOrderBackend(admin, shop, shopNumericId) {
+  const settings = await getShopSettings(shop);
+  const { orderBackend } = settings;
+
+  if (orderBackend === "shopify") return shopifyOrderBackend(admin);
+  if (orderBackend === "stub") {
+    if (isDevelopment()) return stubOrderBackend(admin);
+    console.warn("Stub order backend selected in production; using the Admin API instead");
+    return shopifyOrderBackend(admin);
+  }
+  return externalOrderBackend(shopNumericId, settings);
+}
@@ -0,0 +1,173 @@
+import db from "../db.server";
+import { normalizeHeader } from "../utils/columnMapping";
+import { normalizeSku } from "../utils/identifiers";
+
+// Header names accepted in a cross-reference CSV, per column.
+const CODE_HEADERS = ["customer code", "customer part number", "customer sku", "part number", "item code"];
+const SKU_HEADERS = ["sku", "our sku", "shop sku"];
+
+// Rows per createMany when importing a cross-reference file.
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Customers with a cross-reference, with how many codes each has.
+ */
+export async function listPartNumberCustomers(shop) {
+  if (!shop) return [];
+
+  const groups = await db.customerPartNumber.groupBy({
+    by: ["customerId", "customerName"],
+    where: { shop },
+    _count: { _all: true },
+    orderBy: { customerName: "asc" },
+  });
+
+  return groups.map((group) => ({
+    customerId: group.customerId,
+    customerName: group.customerName,
+    count: group._count._all,
+  }));
+}
+
+export function listPartNumbers(shop, customerId) {
+  if (!shop || !customerId) return [];
+
+  return db.customerPartNumber.findMany({
+    where: { shop, customerId },
+    orderBy: { customerCode: "asc" },
+  });
+}
+
+/**
+ * Add or overwrite (by customer code) one cross-reference entry.
+ */
+export function savePartNumber(shop, { customerId, customerName, customerCode, sku }) {
+  const codeNormalized = normalizeSku(customerCode);
+
+  return db.customerPartNumber.upsert({
+    where: { shop_customerId_codeNormalized: { shop, customerId, codeNormalized } },
+    create: {
+      shop,
+      customerId,
+      customerName,
+      customerCode: customerCode.trim(),
+      codeNormalized,
+      sku: sku.trim(),
+    },
+    update: { customerName, customerCode: customerCode.trim(), sku: sku.trim() },
+  });
+}
+
+export function deletePartNumber(shop, id) {
+  return db.customerPartNumber.deleteMany({ where: { shop, id } });
+}
+
+/**
+ * Read cross-reference entries from a sheet (see readSheet): a "Customer code"
+ * and a "SKU" column, found by header name, or the first two columns when the
+ * headers aren't recognised.
+ *
+ * Returns { entries, skipped } where skipped counts rows missing either value.
+ * A code listed twice keeps its last SKU.
+ */
+export function parsePartNumberSheet(sheet) {
+  const [headerRow = [], ...rows] = sheet.rows;
+  const headers = headerRow.map(normalizeHeader);
+
+  let codeIndex = headers.findIndex((h) => CODE_HEADERS.includes(h));
+  let skuIndex = headers.findIndex((h) => SKU_HEADERS.includes(h));
+  if (codeIndex === -1 || skuIndex === -1) {
+    codeIndex = 0;
+    skuIndex = 1;
+  }
+
+  const byCode = new Map();
+  let skipped = 0;
+
+  for (const row of rows) {
+    const customerCode = String(row[codeIndex] ?? "").trim();
+    const sku = String(row[skuIndex] ?? "").trim();
+
+    if (!customerCode && !sku) continue;
+    if (!customerCode || !sku) {
+      skipped++;
+      continue;
+    }
+
+    byCode.set(normalizeSku(customerCode), { customerCode, sku });
+  }
+
+  return { entries: [...byCode.values()], skipped };
+}
+
+/**
+ * Import entries for one customer. Existing codes are overwritten; with
+ * `replace`, every code not in the file is removed as well.
+ */
+export async function importPartNumbers(shop, { customerId, customerName, entries, replace }) {
+  const codes = entries.map((entry) => normalizeSku(entry.customerCode));
+
+  await db.$transaction(async (tx) => {
+    await tx.customerPartNumber.deleteMany({
+      where: replace
+        ? { shop, customerId }
+        : { shop, customerId, codeNormalized: { in: codes } },
+    });
+
+    for (let i = 0; i < entries.length; i += INSERT_CHUNK_SIZE) {
+      await tx.customerPartNumber.createMany({
+        data: entries.slice(i, i + INSERT_CHUNK_SIZE).map((entry) => ({
+          shop,
+          customerId,
+          customerName,
+          customerCode: entry.customerCode,
+          codeNormalized: normalizeSku(entry.customerCode),
+          sku: entry.sku,
+        })),
+      });
+    }
+  });
+}
+
+/**
+ * Translate a customer's codes to SKUs.
+ * Returns a Map of normalised customer code -> SKU for the codes that have one.
+ */
+export async function translatePartNumbers(shop, customerId, codes) {
+  const translations = new Map();
+  const uniqueCodes = [...new Set(codes.map(normalizeSku).filter(Boolean))];
+  if (!shop || !customerId || uniqueCodes.length === 0) return translations;
+
+  const entries = await db.customerPartNumber.findMany({
+    where: { shop, customerId, codeNormalized: { in: uniqueCodes } },
+  });
+
+  for (const entry of entries) {
+    translations.set(entry.codeNormalized, entry.sku);
+  }
+
+  return translations;
+}
+
+/**
+ * Replace customer codes in parsed upload rows with the shop's SKUs, for rows
+ * identified by SKU (declared or not). Translated rows keep the code they were
+ * uploaded with in `customerCode` and are looked up as SKUs.
+ */
+export async function applyPartNumbers(shop, customerId, parsedRows) {
+  const translatable = (row) => row.sku && (!row.identifierType || row.identifierType === "sku");
+
+  const translations = await translatePartNumbers(
+    shop,
+    customerId,
+    parsedRows.filter(translatable).map((row) => row.sku),
+  );
+  if (translations.size === 0) return parsedRows;
+
+  return parsedRows.map((row) => {
+    const sku = translatable(row) ? translations.get(normalizeSku(row.sku)) : null;
+    if (!sku) return row;
+
+    return { ...row, customerCode: row.sku, sku, identifierType: "sku" };
+  });
+}
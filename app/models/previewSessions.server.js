@@ -0,0 +1,116 @@
+import db from "../db.server";
+
+// How long a preview can be confirmed after it was shown.
+const PREVIEW_TTL_MS = 2 * 60 * 60 * 1000;
+
+// A claim older than this is taken to be from a create that died part way.
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How long a repeated create waits for the one already running to finish.
+const COMPLETION_WAIT_MS = 30 * 1000;
+const COMPLETION_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Who a preview belongs to: the shop and the staff member (the session
+ * token's user, else the online session's), from authenticate.admin's result.
+ */
+export function previewOwner({ session, sessionToken }) {
+  return {
+    shop: session?.shop || "",
+    userId: String(sessionToken?.sub ?? session?.userId ?? ""),
+  };
+}
+
+/**
+ * Save a preview for `owner` and return its ID. `display` is the rest of the
+ * preview's action data, so it can be shown again. Expired previews are
+ * cleared out on the way.
+ */
+export async function savePreviewSession(
+  owner,
+  { customerId, customerName, companyLocationId, sheetMode, rows, display },
+) {
+  try {
+    await db.previewSession.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  } catch (err) {
+    console.error("Error clearing expired preview sessions", err);
+  }
+
+  const preview = await db.previewSession.create({
+    data: {
+      shop: owner.shop,
+      userId: owner.userId,
+      customerId,
+      customerName,
+      companyLocationId: companyLocationId || null,
+      sheetMode,
+      rows,
+      display,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_MS),
+    },
+  });
+
+  return preview.id;
+}
+
+/**
+ * The owner's preview with this ID, or null when there's none or it expired.
+ */
+export function getPreviewSession(owner, id) {
+  if (!id) return null;
+
+  return db.previewSession.findFirst({
+    where: { id, shop: owner.shop, userId: owner.userId, expiresAt: { gt: new Date() } },
+  });
+}
+
+/**
+ * Claim a preview for creating its drafts, so only one create runs for it at
+ * a time. Returns false when it's complete or another create holds it.
+ */
+export async function claimPreviewSession(id) {
+  const { count } = await db.previewSession.updateMany({
+    where: {
+      id,
+      completedAt: null,
+      OR: [{ claimedAt: null }, { claimedAt: { lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }],
+    },
+    data: { claimedAt: new Date() },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Let a create that failed part way be retried.
+ */
+export function releasePreviewSession(id) {
+  return db.previewSession.update({ where: { id }, data: { claimedAt: null } });
+}
+
+export function completePreviewSession(id) {
+  return db.previewSession.update({ where: { id }, data: { completedAt: new Date() } });
+}
+
+/**
+ * Wait (a while) for the create holding this preview to finish. Returns true
+ * once the preview is complete, false if it isn't by then or was released.
+ */
+export async function waitForPreviewCompletion(id) {
+  const deadline = Date.now() + COMPLETION_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    await sleep(COMPLETION_POLL_MS);
+
+    const preview = await db.previewSession.findUnique({
+      where: { id },
+      select: { claimedAt: true, completedAt: true },
+    });
+    if (preview?.completedAt) return true;
+    if (!preview?.claimedAt) return false;
+  }
+
+  return false;
+}
@@ -0,0 +1,106 @@
+import { createGraphqlScheduler } from "../utils/adminGraphql.server";
+
+// Variants per request; each can carry up to PRICE_BREAKS volume prices.
+const VARIANT_BATCH_SIZE = 50;
+const PRICE_BREAKS = 10;
+
+const VARIANT_PRICING_QUERY = `#graphql
+  query variantPricing($ids: [ID!]!, $companyLocationId: ID, $contextual: Boolean!) {
+    shop {
+      currencyCode
+    }
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        price
+        contextualPricing(context: { companyLocationId: $companyLocationId }) @include(if: $contextual) {
+          price {
+            amount
+            currencyCode
+          }
+          quantityPriceBreaks(first: ${PRICE_BREAKS}) {
+            nodes {
+              minimumQuantity
+              price {
+                amount
+                currencyCode
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const SHOP_CURRENCY_QUERY = `#graphql
+  query shopCurrency {
+    shop {
+      currencyCode
+    }
+  }
+`;
+
+/**
+ * The shop's currency code, or null when it can't be read.
+ */
+export async function getShopCurrency(admin) {
+  const json = await createGraphqlScheduler(admin).request(SHOP_CURRENCY_QUERY);
+  return json?.data?.shop?.currencyCode || null;
+}
+
+/**
+ * What the customer pays per variant: the company location's contextual
+ * price and volume price breaks for B2B customers, else the variant's price
+ * in the shop currency.
+ *
+ * Returns a Map of variant GID -> { price, currencyCode, priceBreaks }, where
+ * priceBreaks is [{ minimumQuantity, price }] (empty without volume pricing).
+ */
+export async function getVariantPricing(admin, variantIds, { companyLocationId = null } = {}) {
+  const prices = new Map();
+  if (variantIds.length === 0) return prices;
+
+  const scheduler = createGraphqlScheduler(admin);
+
+  for (let i = 0; i < variantIds.length; i += VARIANT_BATCH_SIZE) {
+    const json = await scheduler.request(VARIANT_PRICING_QUERY, {
+      variables: {
+        ids: variantIds.slice(i, i + VARIANT_BATCH_SIZE),
+        companyLocationId,
+        contextual: Boolean(companyLocationId),
+      },
+    });
+    const shopCurrency = json?.data?.shop?.currencyCode || null;
+
+    for (const node of json?.data?.nodes || []) {
+      if (!node?.id) continue;
+
+      const contextual = node.contextualPricing;
+      if (contextual?.price) {
+        prices.set(node.id, {
+          price: Number(contextual.price.amount),
+          currencyCode: contextual.price.currencyCode,
+          priceBreaks: (contextual.quantityPriceBreaks?.nodes || []).map((priceBreak) => ({
+            minimumQuantity: priceBreak.minimumQuantity,
+            price: Number(priceBreak.price.amount),
+          })),
+        });
+      } else if (node.price != null) {
+        prices.set(node.id, {
+          price: Number(node.price),
+          currencyCode: shopCurrency,
+          priceBreaks: [],
+        });
+      }
+    }
+  }
+
+  console.log("getVariantPricing:", {
+    companyLocationId,
+    variants: prices.size,
+    withPriceBreaks: [...prices.values()].filter((pricing) => pricing.priceBreaks.length).length,
+  });
+
+  return prices;
+}
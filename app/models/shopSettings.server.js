@@ -0,0 +1,39 @@
+import db from "../db.server";
+
+// Where the external order service lived before it was configurable; shops
+// that haven't saved settings keep using it.
+const LEGACY_EXTERNAL_BASE_URL = "https://dev.bloomandgrowgroup.com";
+
+/**
+ * The shop's integration settings, with the defaults for shops that haven't
+ * saved any yet: the external order service at its legacy URL, unsigned.
+ */
+export async function getShopSettings(shop) {
+  const settings = shop ? await db.shopSettings.findUnique({ where: { shop } }) : null;
+
+  return (
+    settings || {
+      shop,
+      orderBackend: "external",
+      externalBaseUrl: LEGACY_EXTERNAL_BASE_URL,
+      sharedSecret: null,
+    }
+  );
+}
+
+/**
+ * Save the shop's settings. A null sharedSecret keeps the saved one.
+ */
+export function saveShopSettings(shop, { orderBackend, externalBaseUrl, sharedSecret }) {
+  const data = {
+    orderBackend,
+    externalBaseUrl,
+    ...(sharedSecret !== null && { sharedSecret }),
+  };
+
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
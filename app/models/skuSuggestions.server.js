@@ -0,0 +1,152 @@
+import db from "../db.server";
+import { toCandidate } from "../utils/previewRows";
+import { foldSku, normalizeSku } from "../utils/identifiers";
+import { findCachedVariants } from "./catalog.server";
+
+// Suggestions offered per unmatched SKU.
+const MAX_SUGGESTIONS = 3;
+
+// Shortest SKU a prefix match is trusted for; "ab" prefixes half the catalog.
+const MIN_PREFIX_LENGTH = 4;
+
+// Catalog SKUs scored per unmatched SKU, and how many leading/trailing
+// characters a candidate must share with it to be scored at all.
+const MAX_CANDIDATES = 500;
+const ANCHOR_LENGTH = 2;
+
+/**
+ * Helper: Levenshtein distance between a and b, or Infinity once it's
+ * certain to exceed `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+/**
+ * Helper: catalog variants worth scoring against a folded SKU: every exact
+ * folded match first, then (up to MAX_CANDIDATES in all, in SKU order) those
+ * sharing its first or last ANCHOR_LENGTH characters, so a typo at either end
+ * still finds the SKU through the other.
+ */
+async function findCandidates(shop, requested) {
+  const select = { variantId: true, skuFolded: true };
+
+  const exact = await db.catalogVariant.findMany({
+    where: { shop, skuFolded: requested },
+    select,
+    orderBy: { variantId: "asc" },
+  });
+  if (exact.length >= MAX_CANDIDATES) return exact;
+
+  const anchor = Math.min(ANCHOR_LENGTH, requested.length);
+  const anchored = await db.catalogVariant.findMany({
+    where: {
+      shop,
+      skuFolded: { not: requested },
+      OR: [
+        { skuFolded: { startsWith: requested.slice(0, anchor) } },
+        { skuFolded: { endsWith: requested.slice(-anchor) } },
+      ],
+    },
+    select,
+    orderBy: [{ skuFolded: "asc" }, { variantId: "asc" }],
+    take: MAX_CANDIDATES - exact.length,
+  });
+
+  return [...exact, ...anchored];
+}
+
+/**
+ * Helper: how close a catalog SKU is to the requested one (lower is closer),
+ * or null when it's not worth suggesting. Both are folded (see foldSku).
+ */
+function matchScore(requested, candidate) {
+  if (requested === candidate) return 0;
+
+  const shorter = requested.length < candidate.length ? requested : candidate;
+  const longer = shorter === requested ? candidate : requested;
+  if (shorter.length >= MIN_PREFIX_LENGTH && longer.startsWith(shorter)) {
+    return 1 + (longer.length - shorter.length) / 10;
+  }
+
+  const distance = editDistance(requested, candidate, requested.length <= 4 ? 1 : 2);
+  return distance === Infinity ? null : 1 + distance;
+}
+
+/**
+ * Suggest catalog variants for preview rows whose SKU wasn't found, matched by
+ * folded SKU (see foldSku), prefix or edit distance against catalog SKUs that
+ * share an end with it (see findCandidates).
+ * Needs a synced catalog; without one there's nothing to suggest from.
+ *
+ * Returns the rows with `suggestions` (candidates, closest first, with stock
+ * at the ranked `locationIds`) added to unmatched SKU rows that have any.
+ */
+export async function addSkuSuggestions(shop, rows, { locationIds = [] } = {}) {
+  const wanted = new Set(
+    rows.filter(
+      (row) =>
+        row.status === "sku not found" &&
+        row.sku &&
+        (!row.identifierType || row.identifierType === "sku"),
+    ),
+  );
+  if (!shop || wanted.size === 0) return rows;
+
+  const idsBySku = new Map();
+  for (const row of wanted) {
+    const key = normalizeSku(row.sku);
+    if (idsBySku.has(key)) continue;
+
+    const requested = foldSku(key);
+    if (!requested) continue;
+
+    const matches = [];
+    for (const variant of await findCandidates(shop, requested)) {
+      const score = matchScore(requested, variant.skuFolded);
+      if (score !== null) matches.push({ variantId: variant.variantId, score });
+    }
+
+    matches.sort((a, b) => a.score - b.score);
+    idsBySku.set(key, matches.slice(0, MAX_SUGGESTIONS).map((match) => match.variantId));
+  }
+
+  const ids = [...new Set([...idsBySku.values()].flat())];
+  if (ids.length === 0) return rows;
+
+  const variants = await findCachedVariants(shop, "id", ids);
+  console.log("addSkuSuggestions:", {
+    unmatched: idsBySku.size,
+    withSuggestions: [...idsBySku.values()].filter((list) => list.length).length,
+  });
+
+  return rows.map((row) => {
+    const suggestionIds = wanted.has(row) ? idsBySku.get(normalizeSku(row.sku)) : null;
+    if (!suggestionIds?.length) return row;
+
+    const suggestions = suggestionIds
+      .map((id) => variants.get(id)?.[0])
+      .filter(Boolean)
+      .map((variant) => toCandidate(variant, locationIds));
+
+    return suggestions.length ? { ...row, suggestions } : row;
+  });
+}
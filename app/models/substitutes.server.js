@@ -0,0 +1,103 @@
+import { createGraphqlScheduler } from "../utils/adminGraphql.server";
+import { toCandidate } from "../utils/previewRows";
+import { lookupVariantsById } from "./variantLookup.server";
+
+// Product metafield listing a product's substitutes: a list of product and/or
+// variant references. For a product reference, any of its variants may stand in.
+const SUBSTITUTES_NAMESPACE = "custom";
+const SUBSTITUTES_KEY = "substitutes";
+
+// Products per metafield request.
+const PRODUCT_BATCH_SIZE = 25;
+
+const SUBSTITUTES_QUERY = `#graphql
+  query productSubstitutes($ids: [ID!]!, $namespace: String!, $key: String!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        metafield(namespace: $namespace, key: $key) {
+          references(first: 10) {
+            nodes {
+              ... on ProductVariant { id }
+              ... on Product {
+                variants(first: 10) {
+                  nodes { id }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Helper: substitute variant IDs per product, from the substitutes metafield.
+ */
+async function substituteIdsByProduct(admin, productIds) {
+  const scheduler = createGraphqlScheduler(admin);
+  const byProduct = new Map();
+
+  for (let i = 0; i < productIds.length; i += PRODUCT_BATCH_SIZE) {
+    const json = await scheduler.request(SUBSTITUTES_QUERY, {
+      variables: {
+        ids: productIds.slice(i, i + PRODUCT_BATCH_SIZE),
+        namespace: SUBSTITUTES_NAMESPACE,
+        key: SUBSTITUTES_KEY,
+      },
+    });
+
+    for (const product of json?.data?.nodes || []) {
+      const references = product?.metafield?.references?.nodes || [];
+      const ids = references.flatMap((ref) =>
+        ref?.variants ? ref.variants.nodes.map((variant) => variant.id) : ref?.id ? [ref.id] : [],
+      );
+      if (ids.length > 0) byProduct.set(product.id, ids);
+    }
+  }
+
+  return byProduct;
+}
+
+/**
+ * Propose substitutes for rows stock can't fully cover ("partial" and
+ * "no stock"), from the product's substitutes metafield. Only substitutes
+ * with stock at the ranked `locationIds` are offered.
+ *
+ * Returns the rows with `substitutes` (candidates) added where there are any.
+ */
+export async function addSubstitutes(admin, shop, rows, { locationIds = [] } = {}) {
+  const short = new Set(
+    rows.filter(
+      (row) =>
+        row.exist && row.productId && (row.status === "partial" || row.status === "no stock"),
+    ),
+  );
+  if (short.size === 0) return rows;
+
+  const byProduct = await substituteIdsByProduct(admin, [
+    ...new Set([...short].map((row) => row.productId)),
+  ]);
+  if (byProduct.size === 0) return rows;
+
+  const variants = await lookupVariantsById(admin, shop, [...new Set([...byProduct.values()].flat())]);
+
+  console.log("addSubstitutes:", {
+    shortRows: short.size,
+    productsWithSubstitutes: byProduct.size,
+  });
+
+  return rows.map((row) => {
+    if (!short.has(row)) return row;
+
+    const substitutes = (byProduct.get(row.productId) || [])
+      .filter((id) => id !== row.variantId)
+      .map((id) => variants.get(id))
+      .filter(Boolean)
+      .map((variant) => toCandidate(variant, locationIds))
+      .filter((candidate) => candidate.availableQuantity > 0);
+
+    return substitutes.length ? { ...row, substitutes } : row;
+  });
+}
@@ -0,0 +1,592 @@
+import {
+  createGraphqlScheduler,
+  mapWithConcurrency,
+  quoteSearchValue,
+} from "../utils/adminGraphql.server";
+import {
+  allocateRows,
+  resolveRow,
+  toCandidate,
+  unresolvedRow,
+} from "../utils/previewRows";
+import { lookupPlan, normalizeIdentifier } from "../utils/identifiers";
+import { cacheVariantRecords, findCachedVariants } from "./catalog.server";
+
+// Values per productVariants search. Shopify caps the search query length, and
+// every extra value widens the page we need to read back.
+const SEARCH_BATCH_SIZE = 20;
+
+// Page size for a search batch; leaves room for a few values matching several
+// variants while keeping the requested query cost under the 1000 point
+// single-query cap.
+const VARIANTS_PER_BATCH = 50;
+
+// Variant IDs per nodes() lookup, kept to the same cost as a search batch.
+const ID_BATCH_SIZE = 50;
+
+// Handles per products search; every product reads up to 100 variants.
+const HANDLE_BATCH_SIZE = 5;
+
+// Batches in flight at once. The scheduler still holds requests back when the
+// throttle bucket can't cover them.
+const LOOKUP_CONCURRENCY = 3;
+
+// Used until Shopify reports the real requestedQueryCost for a query.
+const ESTIMATED_BATCH_COST = 760;
+
+const LOOKUP_VARIANT_FRAGMENT = `#graphql
+  fragment LookupVariant on ProductVariant {
+    id
+    sku
+    barcode
+    displayName
+    inventoryPolicy
+    product { id title status }
+    inventoryItem {
+      id
+      inventoryLevels(first: 10) {
+        ...LookupLevels
+      }
+    }
+  }
+
+  fragment LookupLevels on InventoryLevelConnection {
+    edges {
+      node {
+        location { id }
+        quantities(names: ["available"]) {
+          name
+          quantity
+        }
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+`;
+
+const VARIANTS_SEARCH_QUERY = `#graphql
+  ${LOOKUP_VARIANT_FRAGMENT}
+  query variantsSearch($query: String!, $first: Int!) {
+    productVariants(first: $first, query: $query) {
+      edges {
+        node {
+          ...LookupVariant
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }
+`;
+
+const VARIANTS_BY_ID_QUERY = `#graphql
+  ${LOOKUP_VARIANT_FRAGMENT}
+  query variantsById($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ...LookupVariant
+    }
+  }
+`;
+
+// Remaining inventory levels of an item stocked at more than 10 locations.
+const INVENTORY_LEVELS_PAGE_QUERY = `#graphql
+  query inventoryLevelsPage($id: ID!, $after: String) {
+    inventoryItem(id: $id) {
+      inventoryLevels(first: 50, after: $after) {
+        edges {
+          node {
+            location { id }
+            quantities(names: ["available"]) {
+              name
+              quantity
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCTS_BY_HANDLE_QUERY = `#graphql
+  query productsByHandle($query: String!, $first: Int!) {
+    products(first: $first, query: $query) {
+      edges {
+        node {
+          handle
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                selectedOptions { value }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Helper: the { locationId, available } levels of an inventoryLevels page.
+ */
+function toLevels(connection) {
+  const levels = [];
+
+  for (const edge of connection?.edges || []) {
+    const level = edge?.node;
+    if (!level) continue;
+
+    const quantities = level.quantities || [];
+    const availableEntry = quantities.find((q) => q.name === "available");
+
+    levels.push({
+      locationId: level.location?.id || null,
+      available:
+        availableEntry && typeof availableEntry.quantity === "number"
+          ? availableEntry.quantity
+          : 0,
+    });
+  }
+
+  return levels;
+}
+
+/**
+ * Helper: shape a ProductVariant node as a variant record:
+ * { id, productId, productStatus, sku, barcode, displayName, inventoryPolicy,
+ *   inventoryItemId, levels: [{ locationId, available }], source }
+ * Catalog cache hits come back in the same shape. Records whose levels were
+ * cut off at the first page carry `levelsCursor` until completeLevels runs.
+ */
+function toVariantRecord(node) {
+  const connection = node.inventoryItem?.inventoryLevels;
+
+  return {
+    id: node.id,
+    productId: node.product?.id || null,
+    productStatus: node.product?.status || "ACTIVE",
+    sku: node.sku || "",
+    barcode: node.barcode || "",
+    displayName: node.displayName || node.product?.title || "",
+    inventoryPolicy: node.inventoryPolicy || "DENY",
+    inventoryItemId: node.inventoryItem?.id || null,
+    levels: toLevels(connection),
+    levelsCursor: connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null,
+    source: "live",
+  };
+}
+
+/**
+ * Live variant lookups against the Admin API, sharing one throttle-aware
+ * scheduler.
+ *
+ * Each lookup returns a Map keyed by normalised identifier. Each value is
+ * either `{ variants }` (an array of variant records, empty when nothing
+ * matched, more than one when the identifier is shared) or `{ error }` when
+ * the batch holding that identifier failed.
+ */
+function createLiveLookup(admin) {
+  const scheduler = createGraphqlScheduler(admin);
+  const costs = new Map();
+
+  const request = async (query, variables) => {
+    const json = await scheduler.request(query, {
+      variables,
+      cost: costs.get(query) || ESTIMATED_BATCH_COST,
+    });
+
+    const requestedCost = json?.extensions?.cost?.requestedQueryCost;
+    if (typeof requestedCost === "number") {
+      costs.set(query, requestedCost);
+    }
+
+    return json;
+  };
+
+  // runBatch returns the batches to retry (none when it's done).
+  const runBatches = async (batches, runBatch) => {
+    while (batches.length > 0) {
+      const retries = await mapWithConcurrency(batches, LOOKUP_CONCURRENCY, runBatch);
+      batches = retries.flat();
+    }
+  };
+
+  /**
+   * Search productVariants by "sku" or "barcode". Matches are only kept when
+   * the variant's value equals the requested one once normalised, so a
+   * partial or tokenised match never stands in for the real thing.
+   */
+  const search = async (field, keys) => {
+    const results = new Map();
+
+    await runBatches(chunk(keys, SEARCH_BATCH_SIZE), async (batch) => {
+      const query = batch.map((key) => `${field}:${quoteSearchValue(key)}`).join(" OR ");
+
+      try {
+        const json = await request(VARIANTS_SEARCH_QUERY, { query, first: VARIANTS_PER_BATCH });
+        const connection = json?.data?.productVariants;
+
+        // A truncated page may have pushed some values' variants (or some of a
+        // shared value's variants) off the end, so look each one up alone.
+        if (connection?.pageInfo?.hasNextPage && batch.length > 1) {
+          return batch.map((key) => [key]);
+        }
+
+        const matches = new Map();
+        for (const edge of connection?.edges || []) {
+          const node = edge?.node;
+          const key = normalizeIdentifier(field, node?.[field]);
+          if (!key) continue;
+
+          const list = matches.get(key) || [];
+          list.push(toVariantRecord(node));
+          matches.set(key, list);
+        }
+
+        for (const key of batch) {
+          results.set(key, { variants: matches.get(key) || [] });
+        }
+      } catch (err) {
+        console.error(`Error looking up ${field} batch`, batch, err);
+        for (const key of batch) {
+          results.set(key, { error: err });
+        }
+      }
+
+      return [];
+    });
+
+    return results;
+  };
+
+  const byId = async (ids) => {
+    const results = new Map();
+
+    await runBatches(chunk(ids, ID_BATCH_SIZE), async (batch) => {
+      try {
+        const json = await request(VARIANTS_BY_ID_QUERY, { ids: batch });
+        const nodes = json?.data?.nodes || [];
+
+        batch.forEach((id, idx) => {
+          const node = nodes[idx];
+          results.set(id, { variants: node?.id ? [toVariantRecord(node)] : [] });
+        });
+      } catch (err) {
+        console.error("Error looking up variant ID batch", batch, err);
+        for (const id of batch) {
+          results.set(id, { error: err });
+        }
+      }
+
+      return [];
+    });
+
+    return results;
+  };
+
+  /**
+   * Every variant of the products with these handles. Records carry the
+   * variant's option values as `options`, so rows can be narrowed down by
+   * option1/2/3.
+   */
+  const byHandle = async (handles) => {
+    const variantIds = new Map();
+    const optionsById = new Map();
+    const results = new Map();
+
+    await runBatches(chunk(handles, HANDLE_BATCH_SIZE), async (batch) => {
+      const query = batch.map((handle) => `handle:${quoteSearchValue(handle)}`).join(" OR ");
+
+      try {
+        const json = await request(PRODUCTS_BY_HANDLE_QUERY, { query, first: batch.length });
+
+        const products = new Map();
+        for (const edge of json?.data?.products?.edges || []) {
+          const product = edge?.node;
+          const key = normalizeIdentifier("handle", product?.handle);
+          if (key) products.set(key, product);
+        }
+
+        for (const key of batch) {
+          const ids = [];
+          for (const variantEdge of products.get(key)?.variants?.edges || []) {
+            const variant = variantEdge?.node;
+            if (!variant?.id) continue;
+
+            ids.push(variant.id);
+            optionsById.set(
+              variant.id,
+              (variant.selectedOptions || []).map((option) => option.value),
+            );
+          }
+          variantIds.set(key, ids);
+        }
+      } catch (err) {
+        console.error("Error looking up handle batch", batch, err);
+        for (const key of batch) {
+          results.set(key, { error: err });
+        }
+      }
+
+      return [];
+    });
+
+    const allIds = [...variantIds.values()].flat();
+    const variants = allIds.length ? await byId(allIds) : new Map();
+
+    for (const [key, ids] of variantIds) {
+      const failed = ids.map((id) => variants.get(id)).find((result) => result?.error);
+      if (failed) {
+        results.set(key, failed);
+        continue;
+      }
+
+      results.set(key, {
+        variants: ids
+          .map((id) => variants.get(id)?.variants?.[0])
+          .filter(Boolean)
+          .map((record) => ({ ...record, options: optionsById.get(record.id) || [] })),
+      });
+    }
+
+    return results;
+  };
+
+  /**
+   * Page in the rest of the inventory levels for records stocked at more
+   * locations than the lookup's first page holds.
+   */
+  const completeLevels = async (records) => {
+    const truncated = records.filter((record) => record.levelsCursor);
+
+    await mapWithConcurrency(truncated, LOOKUP_CONCURRENCY, async (record) => {
+      try {
+        while (record.levelsCursor) {
+          const json = await request(INVENTORY_LEVELS_PAGE_QUERY, {
+            id: record.inventoryItemId,
+            after: record.levelsCursor,
+          });
+          const connection = json?.data?.inventoryItem?.inventoryLevels;
+
+          record.levels.push(...toLevels(connection));
+          record.levelsCursor = connection?.pageInfo?.hasNextPage
+            ? connection.pageInfo.endCursor
+            : null;
+        }
+      } catch (err) {
+        console.error("Error paging inventory levels for", record.inventoryItemId, err);
+        record.levelsCursor = null;
+      }
+    });
+
+    for (const record of records) {
+      delete record.levelsCursor;
+    }
+  };
+
+  return { search, byId, byHandle, completeLevels };
+}
+
+/**
+ * Resolve normalised identifiers of one type to variants. SKUs, barcodes and
+ * variant IDs are read from the catalog cache first and only the misses
+ * looked up live; live hits are written through to the cache. Handles are
+ * always looked up live (the cache doesn't hold option values).
+ */
+async function resolveIdentifiers(live, shop, type, keys) {
+  const uniqueKeys = [...new Set(keys.filter(Boolean))];
+  const results = new Map();
+
+  if (type !== "handle") {
+    try {
+      const cached = await findCachedVariants(shop, type, uniqueKeys);
+      for (const [key, variants] of cached) {
+        results.set(key, { variants });
+      }
+    } catch (err) {
+      console.error("Catalog cache lookup failed, using live lookups only", err);
+    }
+  }
+
+  const misses = uniqueKeys.filter((key) => !results.has(key));
+  console.log("resolveIdentifiers:", {
+    type,
+    cacheHits: results.size,
+    cacheMisses: misses.length,
+  });
+
+  if (misses.length === 0) return results;
+
+  let liveResults;
+  if (type === "id") liveResults = await live.byId(misses);
+  else if (type === "handle") liveResults = await live.byHandle(misses);
+  else liveResults = await live.search(type, misses);
+
+  const liveRecords = [];
+  for (const [key, result] of liveResults) {
+    results.set(key, result);
+    if (result.variants) liveRecords.push(...result.variants);
+  }
+
+  await live.completeLevels(liveRecords);
+  await cacheVariantRecords(shop, liveRecords);
+
+  return results;
+}
+
+/**
+ * Variant records for variant GIDs, from the catalog cache or live.
+ * Returns a Map of GID -> record; unknown IDs are left out.
+ */
+export async function lookupVariantsById(admin, shop, ids) {
+  const results = await resolveIdentifiers(createLiveLookup(admin), shop, "id", ids);
+  const records = new Map();
+
+  for (const [id, result] of results) {
+    const record = result.variants?.[0];
+    if (record) records.set(id, record);
+  }
+
+  return records;
+}
+
+/**
+ * Variant records for variant GIDs read live from the Admin API, skipping the
+ * catalog cache (which they refresh). For when stock must be current, e.g.
+ * when an order is confirmed. Returns a Map of GID -> record.
+ */
+export async function lookupVariantsLive(admin, shop, ids) {
+  const live = createLiveLookup(admin);
+  const results = await live.byId([...new Set(ids.filter(Boolean))]);
+  const records = new Map();
+
+  for (const [id, result] of results) {
+    const record = result.variants?.[0];
+    if (record) records.set(id, record);
+  }
+
+  await live.completeLevels([...records.values()]);
+  await cacheVariantRecords(shop, [...records.values()]);
+
+  return records;
+}
+
+/**
+ * Helper: narrow a product's variants to those whose option values match the
+ * row's option1/2/3, compared case-insensitively. Blank options match any value.
+ */
+function matchOptions(variants, options) {
+  const wanted = (options || []).map((value) => String(value ?? "").trim().toLowerCase());
+  if (!wanted.some(Boolean)) return variants;
+
+  return variants.filter((variant) =>
+    wanted.every(
+      (value, idx) =>
+        !value || String(variant.options?.[idx] ?? "").trim().toLowerCase() === value,
+    ),
+  );
+}
+
+/**
+ * Turn parsed upload rows into preview rows: resolve each row to a variant by
+ * its identifier, read its available stock and work out how much can be
+ * fulfilled.
+ *
+ * A row's identifier is a SKU, barcode, variant ID or product handle + options;
+ * rows that don't declare which are tried as each plausible type in turn (see
+ * lookupPlan). Resolved rows record the type they matched on in `matchedOn`.
+ *
+ * Identifiers shared by several variants come back "ambiguous" with the
+ * candidates listed, for staff to pick one in the preview. Rows resolving to
+ * the same variant share its stock, allocated in file order from the ranked
+ * `locationIds` (every location when empty).
+ */
+export async function enrichRowsWithVariants(admin, shop, parsedRows, { locationIds = [] } = {}) {
+  const live = createLiveLookup(admin);
+  const plans = parsedRows.map(lookupPlan);
+  const outcomes = new Array(parsedRows.length);
+
+  const keyFor = (type, row) =>
+    normalizeIdentifier(type, type === "handle" ? row.handle : row.sku);
+
+  // Each pass tries the next identifier type for every row still unmatched,
+  // batching all rows of the same type together.
+  let pending = parsedRows.map((_, idx) => idx);
+  for (let step = 0; pending.length > 0; step++) {
+    const byType = new Map();
+    for (const idx of pending) {
+      const type = plans[idx][step];
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(idx);
+    }
+
+    pending = [];
+
+    for (const [type, indexes] of byType) {
+      const results = await resolveIdentifiers(
+        live,
+        shop,
+        type,
+        indexes.map((idx) => keyFor(type, parsedRows[idx])),
+      );
+
+      for (const idx of indexes) {
+        const row = parsedRows[idx];
+        const result = results.get(keyFor(type, row));
+
+        if (result?.error) {
+          outcomes[idx] = { error: true };
+          continue;
+        }
+
+        const found = result?.variants || [];
+        const variants = type === "handle" ? matchOptions(found, row.options) : found;
+
+        if (variants.length === 0 && step + 1 < plans[idx].length) {
+          pending.push(idx);
+        } else {
+          outcomes[idx] = { matchedOn: type, variants };
+        }
+      }
+    }
+  }
+
+  const rows = parsedRows.map((row, idx) => {
+    const outcome = outcomes[idx];
+
+    if (outcome.error) {
+      return unresolvedRow(row, "error");
+    }
+
+    const candidates = outcome.variants.map((variant) => toCandidate(variant, locationIds));
+
+    if (candidates.length === 0) {
+      return unresolvedRow(row, "sku not found");
+    }
+
+    if (candidates.length > 1) {
+      return unresolvedRow(row, "ambiguous", { candidates, matchedOn: outcome.matchedOn });
+    }
+
+    return { ...resolveRow(row, candidates[0]), matchedOn: outcome.matchedOn };
+  });
+
+  return allocateRows(rows);
+}
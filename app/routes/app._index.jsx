@@ -1,9 +1,9 @@
-import * as XLSX from "xlsx";
 import { Buffer } from "node:buffer";
 
 import {
   Form,
   useActionData,
+  useFetcher,
   useLoaderData,
   useNavigation,
   redirect,
@@ -11,6 +11,75 @@ import {
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { enrichRowsWithVariants, lookupVariantsLive } from "../models/variantLookup.server";
+import { getCatalogStatus, startCatalogSync } from "../models/catalog.server";
+import { applyPartNumbers } from "../models/partNumbers.server";
+import { addSkuSuggestions } from "../models/skuSuggestions.server";
+import { addSubstitutes } from "../models/substitutes.server";
+import { listLocations } from "../models/locations.server";
+import { listCustomerCompanies } from "../models/companies.server";
+import { findDiscountCode, listDiscountRules } from "../models/discountRules.server";
+import { getCommittedQuantities } from "../models/committedStock.server";
+import { getB2BRules } from "../models/b2bRules.server";
+import { getShopCurrency, getVariantPricing } from "../models/pricing.server";
+import { getOrderBackend } from "../models/orderBackend.server";
+import {
+  claimPreviewSession,
+  completePreviewSession,
+  getPreviewSession,
+  previewOwner,
+  releasePreviewSession,
+  savePreviewSession,
+  waitForPreviewCompletion,
+} from "../models/previewSessions.server";
+import {
+  findMatchingProfile,
+  listMappingProfiles,
+  markMappingProfileUsed,
+  saveMappingProfile,
+} from "../models/mappingProfile.server";
+import {
+  parseSheetRows,
+  readSheet,
+  readWorkbook,
+  summarizeSheets,
+} from "../utils/importFile.server";
+import {
+  QUANTITY_RULE,
+  applyB2BRules,
+  applyCommittedQuantities,
+  applyPreviewChoices,
+  applyPricing,
+  fulfilledQuantityChanges,
+  refreshRowStock,
+  roundToQuantityRule,
+} from "../utils/previewRows";
+import { IDENTIFIER_LABELS } from "../utils/identifiers";
+import {
+  BACKORDER_POLICIES,
+  normalizeBackorderPolicy,
+  splitBackorders,
+} from "../utils/backorders";
+import { downloadRejectedRows } from "../utils/rejectedRowsReport";
+import {
+  EMPTY_ORDER_DETAILS,
+  formatAddress,
+  formatCustomAttributes,
+  orderDetailsFromForm,
+} from "../utils/orderDetails";
+import { formatMoney, priceRows } from "../utils/pricing";
+import {
+  ORDER_DISCOUNT_TYPES,
+  orderDiscountFromForm,
+  resolveOrderDiscount,
+} from "../utils/orderDiscount";
+import {
+  IMPORT_FIELDS,
+  isStandardLayout,
+  normalizeHeader,
+  resolveColumnIndexes,
+  suggestMapping,
+} from "../utils/columnMapping";
 
 import { useState, useEffect, useRef, useMemo } from "react";
 
@@ -79,73 +148,228 @@ async function getShopNumericId(admin) {
   }
 }
 
+const CHOOSE_COMPANY_LOCATION =
+  "This customer orders for several company locations. Choose which one this order is for.";
+
+const PREVIEW_NOT_SAVED = "Could not save the preview. Please try again.";
+
+const NO_B2B_CONTEXT = {
+  companyId: null,
+  companyLocationId: null,
+  companyContactId: null,
+  companyName: null,
+  companyLocationName: null,
+};
+
 /**
- * Helper: fetch B2B company context for a customer (if any).
- * Returns { companyId, companyLocationId, companyContactId } or all null.
+ * Helper: fetch B2B company context for a customer (if any), for the company
+ * location staff chose (see listCustomerCompanies). A customer with a single
+ * company location doesn't need to choose.
+ *
+ * Returns { companyId, companyLocationId, companyContactId, companyName,
+ * companyLocationName, needsChoice }; the IDs are null for customers that
+ * aren't B2B contacts, and when `needsChoice` (several company locations and
+ * no valid choice).
  */
-async function getB2BContext(admin, customerGid) {
+async function getB2BContext(admin, customerGid, chosenLocationId = null) {
   if (!customerGid) {
     console.warn("getB2BContext: customerGid is empty, skipping");
-    return { companyId: null, companyLocationId: null, companyContactId: null };
+    return { ...NO_B2B_CONTEXT, needsChoice: false };
   }
 
   try {
-    const resp = await admin.graphql(
-      `#graphql
-      query B2BContext($id: ID!) {
-        customer(id: $id) {
-          id
-          companyContactProfiles {
-            id
-            company {
-              id
-              locations(first: 10) {
-                edges {
-                  node {
-                    id
-                    name
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`,
-      { variables: { id: customerGid } },
+    const companies = await listCustomerCompanies(admin, customerGid);
+    const options = companies.flatMap((company) =>
+      company.locations.map((location) => ({ company, location })),
     );
 
-    const json = await resp.json();
-    console.log("B2B customer GraphQL JSON:", JSON.stringify(json, null, 2));
+    let chosen = null;
+    if (chosenLocationId) {
+      chosen = options.find((option) => option.location.id === chosenLocationId) || null;
+    } else if (options.length === 1) {
+      chosen = options[0];
+    }
 
-    const profiles = json?.data?.customer?.companyContactProfiles || [];
-    if (!profiles.length) {
-      console.log("No companyContactProfiles for customer:", customerGid);
-      return { companyId: null, companyLocationId: null, companyContactId: null };
+    if (!chosen) {
+      console.log("B2B context not resolved:", {
+        customerGid,
+        chosenLocationId,
+        companyLocations: options.length,
+      });
+      return { ...NO_B2B_CONTEXT, needsChoice: options.length > 0 };
     }
 
-    const profile = profiles[0];
+    const context = {
+      companyId: chosen.company.companyId,
+      companyContactId: chosen.company.companyContactId,
+      companyLocationId: chosen.location.id,
+      companyName: chosen.company.companyName,
+      companyLocationName: chosen.location.name,
+    };
+    console.log("B2B context resolved:", { customerGid, ...context });
+
+    return { ...context, needsChoice: false };
+  } catch (err) {
+    console.error("getB2BContext failed:", err);
+    return { ...NO_B2B_CONTEXT, needsChoice: false };
+  }
+}
+
+/**
+ * Helper: the uploads already recorded for a preview's drafts, as a Map keyed
+ * by their idempotency key (see draftIdempotencyKey).
+ */
+async function uploadsForPreview(idempotencyKey) {
+  const uploads = await db.bulkOrderUpload.findMany({
+    where: { idempotencyKey: { startsWith: `${idempotencyKey}:` } },
+    orderBy: { id: "asc" },
+  });
+  return new Map(uploads.map((upload) => [upload.idempotencyKey, upload]));
+}
+
+/**
+ * Helper: the idempotency key of one of a preview's drafts, from what the
+ * draft is (its sheet, and order or backorder) rather than its position, so a
+ * retry with a different backorder policy can't mistake one draft for another.
+ */
+const draftIdempotencyKey = (previewKey, sheetName, isBackorder) =>
+  `${previewKey}:${encodeURIComponent(sheetName || "")}:${isBackorder ? "backorder" : "order"}`;
+
+const uploadOrderName = (upload) => upload.orderName || upload.orderLegacyId || upload.orderId;
+
+/**
+ * Helper: back to the import page, reporting the draft orders created.
+ */
+function redirectToCreated(orderNames) {
+  return redirect(`/app?createdOrderName=${encodeURIComponent(orderNames.join(", "))}`);
+}
+
+/**
+ * Helper: read the mapping submitted from the column mapping step
+ * (one "mapping_<field>" select per import field, or checkboxes for
+ * `multiple` fields).
+ */
+function mappingFromForm(formData) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    if (field.multiple) {
+      const headers = formData
+        .getAll(`mapping_${field.key}`)
+        .map((header) => String(header).trim())
+        .filter(Boolean);
+      if (headers.length) mapping[field.key] = headers;
+      continue;
+    }
+
+    const header = String(formData.get(`mapping_${field.key}`) || "").trim();
+    if (header) mapping[field.key] = header;
+  }
+  return mapping;
+}
+
+/**
+ * Helper: the ranked fulfillment location IDs submitted with an import
+ * ("locationIds", comma separated, first choice first). Empty = every location.
+ */
+function locationIdsFromForm(formData) {
+  return String(formData.get("locationIds") || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Helper: turn parsed upload rows into preview rows: translate the customer's
+ * part numbers, resolve variants, suggest SKUs for unmatched rows, take stock
+ * already on open drafts ("app" or "all" committedScope) out of what this
+ * import can claim, propose substitutes for rows still short of stock, check
+ * the company location's catalog and quantity rules and price every variant
+ * the way the customer will pay for it.
+ */
+async function buildPreviewRows(
+  admin,
+  shopDomain,
+  parsedRows,
+  { customerId, companyLocationId, locationIds, committedScope },
+) {
+  let lookupRows = parsedRows;
+  try {
+    lookupRows = await applyPartNumbers(shopDomain, customerId, parsedRows);
+    console.log(
+      "PROCESS: customer codes translated:",
+      lookupRows.filter((row) => row.customerCode).length,
+    );
+  } catch (err) {
+    console.error("PROCESS: failed to translate customer part numbers", err);
+  }
 
-    const companyId = profile?.company?.id || null;
-    const companyContactId = profile?.id || null;
-    const locEdges = profile?.company?.locations?.edges || [];
-    const companyLocationId = locEdges?.[0]?.node?.id || null;
+  let enrichedRows = await enrichRowsWithVariants(admin, shopDomain, lookupRows, {
+    locationIds,
+  });
 
-    console.log("B2B context resolved:", {
-      customerGid,
-      companyId,
-      companyContactId,
-      companyLocationId,
+  try {
+    enrichedRows = await addSkuSuggestions(shopDomain, enrichedRows, { locationIds });
+  } catch (err) {
+    console.error("PROCESS: failed to suggest SKUs for unmatched rows", err);
+  }
+
+  // Drafts don't reserve stock, so units on other open drafts are taken out
+  // of what this import can claim.
+  let committed = new Map();
+  try {
+    committed = await getCommittedQuantities(admin, {
+      scope: committedScope,
+      shopNumericId: await getShopNumericId(admin),
     });
+    enrichedRows = applyCommittedQuantities(enrichedRows, committed);
+  } catch (err) {
+    console.error("PROCESS: failed to read quantities on open draft orders", err);
+  }
 
-    return { companyId, companyContactId, companyLocationId };
+  // Substitutes are offered for rows still short once committed stock is out.
+  try {
+    enrichedRows = await addSubstitutes(admin, shopDomain, enrichedRows, { locationIds });
+    enrichedRows = applyCommittedQuantities(enrichedRows, committed);
   } catch (err) {
-    console.error("getB2BContext failed:", err);
-    return { companyId: null, companyLocationId: null, companyContactId: null };
+    console.error("PROCESS: failed to look up substitutes", err);
   }
+
+  const variantIds = new Set();
+  for (const row of enrichedRows) {
+    const alternatives = [
+      ...(row.candidates || []),
+      ...(row.suggestions || []),
+      ...(row.substitutes || []),
+    ];
+    if (row.variantId) variantIds.add(row.variantId);
+    for (const c of alternatives) variantIds.add(c.variantId);
+  }
+
+  // B2B customers can only order what their company location's catalog
+  // publishes, in the quantities its price list allows.
+  if (companyLocationId) {
+    try {
+      const rules = await getB2BRules(admin, companyLocationId, [...variantIds]);
+      enrichedRows = applyB2BRules(enrichedRows, rules);
+    } catch (err) {
+      console.error("PROCESS: failed to check B2B catalog and quantity rules", err);
+    }
+  }
+
+  try {
+    const prices = await getVariantPricing(admin, [...variantIds], { companyLocationId });
+    enrichedRows = applyPricing(enrichedRows, prices);
+  } catch (err) {
+    console.error("PROCESS: failed to look up prices", err);
+  }
+
+  return enrichedRows;
 }
 
 /**
- * Loader: authenticate admin + load history from Prisma (per shopId) + preload customers via OC
+ * Loader: authenticate admin + load history from Prisma (per shopId) + preload customers
+ * from the shop's order backend + catalog cache freshness + locations for the fulfillment
+ * location picker
  */
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
@@ -181,8 +405,10 @@ export const loader = async ({ request }) => {
 
     try {
       history = await db.bulkOrderUpload.findMany({
+        // Uploads without an orderId are drafts still (or never) being created.
         where: {
           shopId: shopNumericId,
+          orderId: { not: null },
         },
         orderBy: { createdAt: "desc" },
         take: 50, // NOTE: client-side pagination will paginate within these 50
@@ -195,58 +421,71 @@ export const loader = async ({ request }) => {
   }
 
   let customers = [];
-  if (shopNumericId) {
-    try {
-      const ocResp = await fetch(
-        "https://dev.bloomandgrowgroup.com/index.php?route=bloom/import_order/getCustomers",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            shop_id: shopNumericId,
-            limit: 250,
-          }),
-        },
-      );
+  try {
+    const orderBackend = await getOrderBackend(admin, shopDomain, shopNumericId);
+    customers = await orderBackend.listCustomers();
+    console.log(`Customers from ${orderBackend.label}:`, customers.length);
+  } catch (err) {
+    console.error("Failed to load customers from the order backend:", err);
+  }
 
-      if (!ocResp.ok) {
-        const txt = await ocResp.text();
-        console.error(
-          "OC getCustomers HTTP error:",
-          ocResp.status,
-          ocResp.statusText,
-          txt,
-        );
-      }
+  let catalogStatus = null;
+  try {
+    catalogStatus = await getCatalogStatus(admin, shopDomain);
+  } catch (err) {
+    console.error("Error loading catalog cache status", err);
+  }
 
-      const ocJson = await ocResp.json().catch((e) => {
-        console.error("OC getCustomers: failed to parse JSON", e);
-        return null;
-      });
+  let locations = [];
+  try {
+    locations = await listLocations(admin);
+  } catch (err) {
+    console.error("Error loading locations", err);
+  }
 
-      if (ocJson && ocJson.success) {
-        customers = Array.isArray(ocJson.customers) ? ocJson.customers : [];
-        console.log("OC customers count:", customers.length);
-      } else {
-        console.error("OC customers error:", ocJson?.error || "Unknown error", ocJson);
-      }
-    } catch (err) {
-      console.error("Failed to fetch customers from OC:", err);
-    }
+  let discountRules = [];
+  try {
+    discountRules = await listDiscountRules(shopDomain);
+  } catch (err) {
+    console.error("Error loading order discount rules", err);
   }
 
-  return { history, customers, shopAdminSubdomain, createdOrderName };
+  return {
+    history,
+    customers,
+    shopAdminSubdomain,
+    createdOrderName,
+    catalogStatus,
+    locations,
+    discountRules,
+  };
 };
 
 /**
- * Action: handle "process" (preview) and "create" (save + create Draft Order via OC)
+ * Action: handle "process" (preview), "create" (save + create Draft Order via the order backend),
+ * "syncCatalog" (re-seed the local variant cache) and "reimportBackorder"
+ * (preview an earlier upload's backorder lines as a new import)
  */
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
+  const shopDomain = session?.shop || "";
+  const owner = previewOwner({ session, sessionToken });
+
+  if (intent === "syncCatalog") {
+    try {
+      await startCatalogSync(admin, shopDomain);
+    } catch (err) {
+      console.error("Failed to start catalog sync", err);
+      return {
+        mode: "error",
+        error: "Failed to start catalog sync. " + (err.message || ""),
+        previewRows: [],
+      };
+    }
+    return { mode: "idle" };
+  }
 
   if (intent === "process") {
     const customerNameRaw = formData.get("customerName") || "";
@@ -276,12 +515,25 @@ export const action = async ({ request }) => {
       };
     }
 
+    // Contacts buying for several companies, or companies with several
+    // locations, must say which one the order is for.
+    const b2bContext = await getB2BContext(admin, customerId, formData.get("companyLocationId"));
+    if (b2bContext.needsChoice) {
+      return {
+        mode: "error",
+        error: CHOOSE_COMPANY_LOCATION,
+        customerName,
+        customerId,
+        previewRows: [],
+      };
+    }
+
     const arrayBuffer = await file.arrayBuffer();
     const buffer = Buffer.from(arrayBuffer);
 
     let workbook;
     try {
-      workbook = XLSX.read(buffer, { type: "buffer" });
+      workbook = readWorkbook(buffer);
     } catch (e) {
       console.error("Failed to parse file with xlsx", e);
       return {
@@ -294,15 +546,35 @@ export const action = async ({ request }) => {
       };
     }
 
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
+    // Sheets: a CSV or single-sheet workbook is imported as is; otherwise staff
+    // pick the sheet(s) first, merged into one preview or one draft per sheet.
+    const sheetMode = formData.get("sheetMode") === "separate" ? "separate" : "merge";
+    let selectedSheets = [workbook.SheetNames[0]];
+
+    if (workbook.SheetNames.length > 1) {
+      selectedSheets = formData
+        .getAll("sheets")
+        .map(String)
+        .filter((name) => workbook.SheetNames.includes(name));
+
+      if (selectedSheets.length === 0) {
+        console.log("PROCESS: workbook has several sheets, showing sheet picker");
+        return {
+          mode: "sheets",
+          error: formData.get("sheetsSubmitted") ? "Choose at least one sheet to import." : null,
+          customerName,
+          customerId,
+          sheets: summarizeSheets(workbook),
+          previewRows: [],
+        };
+      }
+    }
 
-    const rows = XLSX.utils.sheet_to_json(sheet, {
-      header: 1,
-      defval: "",
-    });
+    const sheets = selectedSheets
+      .map((name) => readSheet(workbook, name))
+      .filter((sheet) => sheet.rows.length > 0);
 
-    if (!rows || rows.length === 0) {
+    if (sheets.length === 0) {
       console.warn("PROCESS: uploaded file appears empty");
       return {
         mode: "error",
@@ -313,44 +585,107 @@ export const action = async ({ request }) => {
       };
     }
 
-    const headerRow = rows[0].map((h) => String(h).trim().toLowerCase());
-    const skuIndex = headerRow.findIndex((h) => h === "sku");
-    const qtyIndex = headerRow.findIndex((h) => h === "quantity" || h === "qty");
+    // The first sheet's header row drives the mapping; other sheets are
+    // matched to it by header name.
+    const headers = sheets[0].rows[0].map((h) => String(h).trim());
+    const dataRows = sheets[0].rows.slice(1);
+
+    // Column mapping: what staff just submitted in the mapping step, else a
+    // saved profile for this header set, else the standard sku/quantity layout.
+    // Anything else goes to the mapping step.
+    const submittedMapping = formData.get("mappingSubmitted") ? mappingFromForm(formData) : null;
+    let mapping = submittedMapping;
+    let mappingProfileName = null;
+
+    const mappingStep = async (error) => {
+      let profiles = [];
+      try {
+        profiles = await listMappingProfiles(shopDomain);
+      } catch (err) {
+        console.error("PROCESS: failed to list mapping profiles", err);
+      }
 
-    if (skuIndex === -1 || qtyIndex === -1) {
-      console.warn("PROCESS: missing sku/quantity columns in headerRow", headerRow);
       return {
-        mode: "error",
-        error: "Header row must contain 'sku' and 'quantity' (or 'qty') columns.",
+        mode: "mapping",
+        error,
         customerName,
         customerId,
+        headers,
+        sampleRows: dataRows.slice(0, 5),
+        suggestedMapping: submittedMapping || suggestMapping(headers),
+        profiles: profiles.map((p) => ({ id: p.id, name: p.name, mapping: p.mapping })),
+        selectedSheets,
+        sheetMode,
         previewRows: [],
       };
+    };
+
+    if (!mapping && !formData.get("reviewMapping")) {
+      try {
+        const profile = await findMatchingProfile(shopDomain, headers, customerId);
+        if (profile) {
+          mapping = profile.mapping;
+          mappingProfileName = profile.name;
+          await markMappingProfileUsed(profile.id);
+        }
+      } catch (err) {
+        console.error("PROCESS: failed to load mapping profile", err);
+      }
+
+      if (!mapping && isStandardLayout(headers)) {
+        mapping = suggestMapping(headers);
+      }
+    }
+
+    if (!mapping) {
+      console.log("PROCESS: no mapping for headers, showing mapping step", headers);
+      return mappingStep(null);
+    }
+
+    const { missing } = resolveColumnIndexes(headers, mapping);
+
+    if (missing.length > 0) {
+      console.warn("PROCESS: mapping is missing required columns", missing, mapping);
+      return mappingStep(`Choose a column for: ${missing.join(", ")}.`);
+    }
+
+    const profileName = String(formData.get("mappingProfileName") || "").trim();
+    if (submittedMapping && formData.get("saveMappingProfile") && profileName) {
+      try {
+        await saveMappingProfile(shopDomain, {
+          name: profileName,
+          customerId: formData.get("mappingProfileForCustomer") ? customerId : null,
+          headers,
+          mapping,
+        });
+        mappingProfileName = profileName;
+        console.log("PROCESS: saved mapping profile", profileName);
+      } catch (err) {
+        console.error("PROCESS: failed to save mapping profile", err);
+      }
     }
 
-    const dataRows = rows.slice(1);
     const parsedRows = [];
+    const rejectedRows = [];
+    const sheetHeaders = {};
+    for (const sheet of sheets) {
+      sheetHeaders[sheet.name] = sheet.rows[0].map((h) => String(h).trim());
+      const columns = resolveColumnIndexes(sheetHeaders[sheet.name], mapping);
+
+      if (columns.missing.length > 0) {
+        console.warn("PROCESS: sheet is missing mapped columns", sheet.name, columns.missing);
+        return {
+          mode: "error",
+          error: `Sheet "${sheet.name}" has no column for: ${columns.missing.join(", ")}.`,
+          customerName,
+          customerId,
+          previewRows: [],
+        };
+      }
 
-    for (const row of dataRows) {
-      const rawSku = row[skuIndex];
-      const rawQty = row[qtyIndex];
-
-      const sku = String(rawSku || "").trim();
-      if (!sku) continue;
-
-      const quantityRequested = Number(rawQty || 0);
-      if (!Number.isFinite(quantityRequested) || quantityRequested <= 0) continue;
-
-      parsedRows.push({
-        sku,
-        productName: "",
-        exist: false,
-        availableQuantity: 0,
-        quantityRequested,
-        fulfilledQuantity: 0,
-        status: "pending",
-        variantId: null,
-      });
+      const parsed = parseSheetRows(sheet, columns.indexes);
+      parsedRows.push(...parsed.parsedRows);
+      rejectedRows.push(...parsed.rejectedRows);
     }
 
     if (parsedRows.length === 0) {
@@ -361,177 +696,357 @@ export const action = async ({ request }) => {
           "No valid rows found. Please check that SKU and Quantity columns are filled.",
         customerName,
         customerId,
+        sheetNames: sheets.map((sheet) => sheet.name),
+        rejectedRows,
+        sheetHeaders,
         previewRows: [],
       };
     }
 
-    console.log("PROCESS: parsedRows count:", parsedRows.length);
+    console.log("PROCESS: parsedRows count:", parsedRows.length, "rejected:", rejectedRows.length);
 
-    const enrichedRows = [];
+    // A PO number typed on the form wins over one found above the file's headers.
+    const orderDetails = orderDetailsFromForm(formData);
+    const filePoNumber = sheets.find((sheet) => sheet.poNumber)?.poNumber || "";
+    const poNumberFromFile = !orderDetails.poNumber && Boolean(filePoNumber);
+    if (poNumberFromFile) orderDetails.poNumber = filePoNumber;
 
-    for (const row of parsedRows) {
-      const sku = row.sku;
+    const locationIds = locationIdsFromForm(formData);
+    const committedScope = formData.get("committedScope") === "all" ? "all" : "app";
+    const enrichedRows = await buildPreviewRows(admin, shopDomain, parsedRows, {
+      customerId,
+      companyLocationId: b2bContext.companyLocationId,
+      locationIds,
+      committedScope,
+    });
 
-      try {
-        const response = await admin.graphql(
-          `#graphql
-          query variantBySku($query: String!) {
-            productVariants(first: 1, query: $query) {
-              edges {
-                node {
-                  id
-                  sku
-                  displayName
-                  product { title }
-                  inventoryItem {
-                    inventoryLevels(first: 10) {
-                      edges {
-                        node {
-                          quantities(names: ["available"]) {
-                            name
-                            quantity
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-          `,
-          {
-            variables: {
-              query: `sku:"${sku}"`,
-            },
-          },
-        );
+    console.log("PROCESS: enrichedRows count:", enrichedRows.length);
 
-        const json = await response.json();
-        if (json?.errors?.length) {
-          console.error("GraphQL errors for SKU", sku, json.errors);
-        }
+    const display = {
+      b2bContext,
+      orderDetails,
+      poNumberFromFile,
+      mappingProfileName,
+      sheetNames: sheets.map((sheet) => sheet.name),
+      locationIds,
+      committedScope,
+      rejectedRows,
+      sheetHeaders,
+    };
 
-        const edges = json?.data?.productVariants?.edges || [];
-        const variantNode = edges.length > 0 ? edges[0].node : null;
-
-        if (!variantNode) {
-          enrichedRows.push({
-            ...row,
-            exist: false,
-            productName: "* * * * * * *",
-            availableQuantity: 0,
-            fulfilledQuantity: 0,
-            status: "sku not found",
-            variantId: null,
-          });
-          continue;
-        }
+    let previewId;
+    try {
+      previewId = await savePreviewSession(owner, {
+        customerId,
+        customerName,
+        companyLocationId: b2bContext.companyLocationId,
+        sheetMode,
+        rows: enrichedRows,
+        display,
+      });
+    } catch (err) {
+      console.error("PROCESS: failed to save preview session", err);
+      return {
+        mode: "error",
+        error: PREVIEW_NOT_SAVED,
+        customerName,
+        customerId,
+        previewRows: [],
+      };
+    }
 
-        let productName =
-          variantNode.displayName || variantNode.product?.title || `SKU ${sku}`;
-        productName = productName.replace(" - Default Title", "");
+    return {
+      mode: "preview",
+      previewId,
+      customerName,
+      customerId,
+      sheetMode,
+      ...display,
+      previewRows: enrichedRows,
+    };
+  }
 
-        const levelEdges = variantNode.inventoryItem?.inventoryLevels?.edges || [];
-        let totalAvailable = 0;
+  if (intent === "reimportBackorder") {
+    const shopNumericId = await getShopNumericId(admin);
+    const upload = shopNumericId
+      ? await db.bulkOrderUpload.findFirst({
+          where: {
+            id: Number(formData.get("uploadId")),
+            shopId: shopNumericId,
+            orderId: { not: null },
+          },
+        })
+      : null;
+    const backorderLines = Array.isArray(upload?.backorderLines) ? upload.backorderLines : [];
 
-        for (const edge of levelEdges) {
-          const level = edge?.node;
-          if (!level) continue;
+    if (backorderLines.length === 0) {
+      return {
+        mode: "error",
+        error: "There is no backorder to re-import for that upload.",
+        previewRows: [],
+      };
+    }
 
-          const quantities = level.quantities || [];
-          const availableEntry = quantities.find((q) => q.name === "available");
+    const customerId = upload.customerId.startsWith("gid://")
+      ? upload.customerId
+      : `gid://shopify/Customer/${upload.customerId}`;
+    const source = upload.orderName || upload.orderLegacyId || upload.orderId;
+
+    // Backorder lines come back through the normal preview, by SKU where the
+    // line had one (as staff know it) and by variant ID otherwise.
+    const parsedRows = backorderLines.map((line, idx) => ({
+      sku: line.sku || line.variantId,
+      identifierType: line.sku ? "sku" : "id",
+      handle: "",
+      options: ["", "", ""],
+      sheetName: `Backorder ${source}`,
+      rowNumber: idx + 1,
+      description: line.productName || "",
+      priceOverride: line.priceOverride ?? null,
+      discount: line.discount || null,
+      lineAttributes: line.lineAttributes || [],
+      productName: "",
+      exist: false,
+      availableQuantity: 0,
+      quantityRequested: Number(line.quantity) || 0,
+      fulfilledQuantity: 0,
+      status: "pending",
+      variantId: null,
+    }));
 
-          if (availableEntry && typeof availableEntry.quantity === "number") {
-            totalAvailable += availableEntry.quantity;
-          }
-        }
+    const locationIds = locationIdsFromForm(formData);
+    const committedScope = "app";
+    const b2bContext = await getB2BContext(admin, customerId, upload.companyLocationId);
+    const orderDetails = {
+      ...EMPTY_ORDER_DETAILS,
+      poNumber: upload.poNumber || "",
+      tags: Array.isArray(upload.tags) ? upload.tags : [],
+      customAttributes: Array.isArray(upload.customAttributes) ? upload.customAttributes : [],
+      shippingAddress: upload.shippingAddress || null,
+    };
+    const previewRows = await buildPreviewRows(admin, shopDomain, parsedRows, {
+      customerId,
+      companyLocationId: b2bContext.companyLocationId,
+      locationIds,
+      committedScope,
+    });
 
-        let fulfilledQuantity = 0;
-        let status = "ok";
-
-        if (totalAvailable <= 0) {
-          fulfilledQuantity = 0;
-          status = "no stock";
-        } else if (row.quantityRequested > totalAvailable) {
-          fulfilledQuantity = totalAvailable;
-          status = "partial";
-        } else {
-          fulfilledQuantity = row.quantityRequested;
-          status = "ok";
-        }
+    const display = {
+      b2bContext,
+      orderDetails,
+      reimportedFrom: source,
+      sheetNames: [parsedRows[0].sheetName],
+      locationIds,
+      committedScope,
+      rejectedRows: [],
+      sheetHeaders: {},
+    };
 
-        enrichedRows.push({
-          ...row,
-          exist: true,
-          productName,
-          availableQuantity: totalAvailable,
-          fulfilledQuantity,
-          status,
-          variantId: variantNode.id,
-        });
-      } catch (err) {
-        console.error(`Error looking up SKU ${sku}`, err);
-        enrichedRows.push({
-          ...row,
-          exist: false,
-          productName: "* * * * * * *",
-          availableQuantity: 0,
-          fulfilledQuantity: 0,
-          status: "error",
-          variantId: null,
-        });
-      }
+    let previewId;
+    try {
+      previewId = await savePreviewSession(owner, {
+        customerId,
+        customerName: upload.customerName,
+        companyLocationId: b2bContext.companyLocationId,
+        sheetMode: "merge",
+        rows: previewRows,
+        display,
+      });
+    } catch (err) {
+      console.error("REIMPORT: failed to save preview session", err);
+      return { mode: "error", error: PREVIEW_NOT_SAVED, previewRows: [] };
     }
 
-    console.log("PROCESS: enrichedRows count:", enrichedRows.length);
-
     return {
       mode: "preview",
-      customerName,
+      previewId,
+      customerName: upload.customerName,
       customerId,
-      previewRows: enrichedRows,
+      sheetMode: "merge",
+      ...display,
+      previewRows,
     };
   }
 
   if (intent === "create") {
-    const customerName = formData.get("customerName") || "Unknown Customer";
-    const customerIdRaw = formData.get("customerId") || "";
-    const previewJson = formData.get("previewJson");
+    // The customer, company location, sheet mode and rows come from the saved
+    // preview; the browser only sends the choices staff made in it.
+    const previewId = String(formData.get("previewId") || "");
+    let preview = null;
+    try {
+      preview = await getPreviewSession(owner, previewId);
+    } catch (err) {
+      console.error("CREATE intent: failed to load preview session", err);
+    }
+    if (!preview) {
+      console.warn("CREATE intent: preview session not found or expired:", previewId);
+      return {
+        mode: "error",
+        error: "This preview has expired or isn't available. Please preview the file again.",
+        previewRows: [],
+      };
+    }
+
+    // Each preview's drafts are created once. A repeated create (a double
+    // submit, or a retry after a slow response) gets the drafts already made.
+    if (preview.completedAt) {
+      console.log("CREATE intent: preview already created, returning its drafts:", previewId);
+      const uploads = await uploadsForPreview(preview.idempotencyKey);
+      return redirectToCreated([...uploads.values()].map(uploadOrderName));
+    }
 
-    console.log("CREATE intent: raw customerId from formData:", customerIdRaw);
+    const customerName = preview.customerName || "Unknown Customer";
+    const customerIdRaw = preview.customerId;
+    const sheetMode = preview.sheetMode === "separate" ? "separate" : "merge";
+
+    let previewChoices = [];
+    try {
+      previewChoices = JSON.parse(String(formData.get("previewChoices") || "[]"));
+    } catch (e) {
+      console.error("CREATE intent: failed to parse previewChoices", e);
+    }
+    const previewRows = Array.isArray(previewChoices)
+      ? applyPreviewChoices(preview.rows, previewChoices)
+      : null;
+    if (!previewRows) {
+      console.warn("CREATE intent: rejected preview choices", previewChoices);
+      return {
+        mode: "error",
+        error:
+          "The changes made in the preview couldn't be applied. Please preview the file again.",
+        customerName,
+        customerId: customerIdRaw,
+        previewRows: [],
+      };
+    }
+
+    console.log("CREATE intent: preview", previewId, "with", previewChoices.length, "choice(s)");
 
     const customerGid = customerIdRaw || "";
     const customerNumericId = customerGid.startsWith("gid://")
       ? customerGid.split("/").pop()
       : customerGid;
 
-    const { companyId, companyLocationId, companyContactId } = await getB2BContext(
-      admin,
-      customerGid,
-    );
+    const b2bContext = await getB2BContext(admin, customerGid, preview.companyLocationId);
+    const { companyId, companyLocationId, companyContactId } = b2bContext;
+    // Order details are the ones previewed; only staff choices come from the form.
+    const orderDetails = { ...EMPTY_ORDER_DETAILS, ...preview.display?.orderDetails };
 
     const shopNumericId = await getShopNumericId(admin);
     console.log("Detected Shopify numeric shop_id (action):", shopNumericId);
 
-    let previewRows = [];
-    if (typeof previewJson === "string" && previewJson.length > 0) {
+    if (b2bContext.needsChoice) {
+      return {
+        mode: "error",
+        error: CHOOSE_COMPANY_LOCATION,
+        customerName,
+        customerId: customerIdRaw,
+        previewRows,
+      };
+    }
+
+    // Only one create runs per preview at a time; a repeated one waits for the
+    // drafts of the one running. Returning without creating releases the claim.
+    if (!(await claimPreviewSession(preview.id))) {
+      console.log("CREATE intent: preview is already being created:", previewId);
+      if (await waitForPreviewCompletion(preview.id)) {
+        const uploads = await uploadsForPreview(preview.idempotencyKey);
+        return redirectToCreated([...uploads.values()].map(uploadOrderName));
+      }
+      return {
+        mode: "error",
+        error:
+          "This order is already being created. Check the import history in a moment " +
+          "before trying again.",
+        customerName,
+        customerId: customerIdRaw,
+        previewRows: [],
+      };
+    }
+    const releasePreview = async () => {
       try {
-        previewRows = JSON.parse(previewJson);
-      } catch (e) {
-        console.error("Failed to parse previewJson", e, previewJson);
+        await releasePreviewSession(preview.id);
+      } catch (err) {
+        console.error("CREATE intent: failed to release preview session", err);
+      }
+    };
+    // Read once the claim is held, so uploads a create that lost its claim
+    // saved meanwhile are seen.
+    const existingUploads = await uploadsForPreview(preview.idempotencyKey);
+
+    // Stock may have moved since the preview was shown. When any row would now
+    // be fulfilled differently, the re-checked rows come back as a new preview
+    // with the differences, for staff to confirm again. Not when retrying a
+    // create that made some of its drafts already: those now hold the stock.
+    const display = preview.display || {};
+    let checkedRows = previewRows;
+    if (existingUploads.size === 0) {
+      try {
+        const records = await lookupVariantsLive(
+          admin,
+          shopDomain,
+          previewRows.map((row) => row.variantId),
+        );
+        const committed = await getCommittedQuantities(admin, {
+          scope: display.committedScope === "all" ? "all" : "app",
+          shopNumericId,
+        });
+        checkedRows = refreshRowStock(previewRows, records, committed, display.locationIds || []);
+      } catch (err) {
+        console.error("CREATE intent: failed to re-check stock, using the previewed stock", err);
       }
-    } else {
-      console.warn("CREATE intent: previewJson is empty or not a string");
     }
 
-    const includedRows = previewRows.filter(
-      (row) => row.exist && row.variantId && Number(row.fulfilledQuantity || 0) > 0,
-    );
+    const stockChanges = fulfilledQuantityChanges(previewRows, checkedRows);
+    if (stockChanges.length > 0) {
+      console.log("CREATE intent: stock changed since the preview:", stockChanges);
+      await releasePreview();
 
-    console.log("CREATE intent: includedRows length:", includedRows.length);
-    if (includedRows.length === 0) {
+      let recheckedPreviewId;
+      try {
+        recheckedPreviewId = await savePreviewSession(owner, {
+          customerId: customerIdRaw,
+          customerName,
+          companyLocationId: preview.companyLocationId,
+          sheetMode,
+          rows: checkedRows,
+          display,
+        });
+      } catch (err) {
+        console.error("CREATE intent: failed to save the re-checked preview", err);
+        return {
+          mode: "error",
+          error: PREVIEW_NOT_SAVED,
+          customerName,
+          customerId: customerIdRaw,
+          previewRows: [],
+        };
+      }
+
+      return {
+        mode: "preview",
+        previewId: recheckedPreviewId,
+        customerName,
+        customerId: customerIdRaw,
+        sheetMode,
+        ...display,
+        previewRows: checkedRows,
+        stockChanges,
+      };
+    }
+
+    const backorderPolicy = normalizeBackorderPolicy(formData.get("backorderPolicy"));
+    const { orderRows, backorderLines } = splitBackorders(previewRows, backorderPolicy);
+    const separateBackorders = backorderPolicy === "separate";
+
+    console.log("CREATE intent:", {
+      backorderPolicy,
+      orderRows: orderRows.length,
+      backorderLines: backorderLines.length,
+    });
+    if (orderRows.length === 0 && !(separateBackorders && backorderLines.length > 0)) {
       console.warn("CREATE intent: No rows with available inventory to create a draft order");
+      await releasePreview();
       return {
         mode: "error",
         error:
@@ -542,150 +1057,471 @@ export const action = async ({ request }) => {
       };
     }
 
-    const totalQuantity = includedRows.reduce(
-      (sum, row) => sum + Number(row.fulfilledQuantity || 0),
-      0,
+    // A price override is sent with a currency; lines whose price lookup
+    // failed have none, so they're priced in the shop's currency.
+    let shopCurrency = null;
+    const needsShopCurrency = [...orderRows, ...backorderLines].some(
+      (line) => line.priceOverride != null && !(line.pricing?.currencyCode || line.currencyCode),
     );
+    if (needsShopCurrency) {
+      try {
+        shopCurrency = await getShopCurrency(admin);
+      } catch (err) {
+        console.error("CREATE intent: failed to look up the shop currency", err);
+      }
+      if (!shopCurrency) {
+        await releasePreview();
+        return {
+          mode: "error",
+          error:
+            "Couldn't look up the shop's currency for the rows with their own price. Please try again.",
+          customerName,
+          customerId: customerIdRaw,
+          previewRows,
+        };
+      }
+    }
 
-    const lineItems = includedRows.map((row) => ({
-      quantity: Number(row.fulfilledQuantity),
-      variantId: row.variantId,
-    }));
+    // One draft per sheet when the workbook's sheets were imported separately.
+    const sheetKey = (row) => (sheetMode === "separate" ? row.sheetName || "" : "");
+    const groups = new Map();
+    const groupFor = (key) => {
+      if (!groups.has(key)) groups.set(key, { orderRows: [], backorderLines: [] });
+      return groups.get(key);
+    };
+    for (const row of orderRows) groupFor(sheetKey(row)).orderRows.push(row);
+    for (const line of backorderLines) groupFor(sheetKey(line)).backorderLines.push(line);
+
+    // Order discount chosen in the preview. Rules are matched per draft, and a
+    // fixed amount is shared between a sheet-per-draft import's drafts by value.
+    const discountChoice = orderDiscountFromForm(formData);
+    let discountRules = [];
+    if (discountChoice.type === "rule") {
+      try {
+        discountRules = await listDiscountRules(shopDomain);
+      } catch (err) {
+        console.error("CREATE intent: failed to load order discount rules", err);
+      }
+    }
+    if (discountChoice.type === "code" && discountChoice.code) {
+      let discountCode = null;
+      try {
+        discountCode = await findDiscountCode(admin, discountChoice.code);
+      } catch (err) {
+        console.error("CREATE intent: failed to look up discount code", err);
+      }
+      if (!discountCode) {
+        await releasePreview();
+        return {
+          mode: "error",
+          error: `Discount code "${discountChoice.code}" doesn't exist in this shop.`,
+          customerName,
+          customerId: customerIdRaw,
+          previewRows,
+        };
+      }
+    }
+    const orderSubtotal = priceRows(orderRows, backorderPolicy).subtotal;
+
+    const createdOrderNames = [];
+    // A draft the backend created but whose order IDs couldn't be saved on its
+    // upload; see createDraft.
+    let unrecordedOrderName = null;
+    const orderBackend = await getOrderBackend(admin, shopDomain, shopNumericId);
+
+    // Create one draft through the order backend and record it in the upload history.
+    const createDraft = async ({
+      sheetName,
+      lines,
+      isBackorder,
+      backorders,
+      orderDiscount,
+      idempotencyKey,
+      pendingUpload,
+    }) => {
+      const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+      // Rows sharing a variant become one line item; substituted rows, and
+      // rows with their own price, discount or attributes, stay separate so
+      // the line can carry them.
+      const lineByKey = new Map();
+      for (const line of lines) {
+        const key = JSON.stringify([
+          line.variantId,
+          line.substitutedFor || "",
+          line.priceOverride ?? null,
+          line.discount || null,
+          line.lineAttributes || [],
+        ]);
+        const current = lineByKey.get(key);
+        if (current) current.quantity += line.quantity;
+        else lineByKey.set(key, { ...line });
+      }
+
+      const lineItems = [...lineByKey.values()].map((line) => {
+        const customAttributes = [
+          ...(line.substitutedFor ? [{ key: "Substituted for", value: line.substitutedFor }] : []),
+          ...(line.lineAttributes || []),
+        ];
+
+        return {
+          quantity: line.quantity,
+          variantId: line.variantId,
+          ...(line.priceOverride != null && {
+            priceOverride: {
+              amount: line.priceOverride,
+              currencyCode: line.currencyCode || shopCurrency,
+            },
+          }),
+          ...(line.discount && {
+            appliedDiscount: {
+              valueType: line.discount.valueType,
+              value: line.discount.value,
+              title: "Line discount",
+            },
+          }),
+          ...(customAttributes.length > 0 && { customAttributes }),
+        };
+      });
 
-    const note = `Bulk upload for customer: ${customerName} (Shopify customer ID: ${customerNumericId})`;
+      let note = `${isBackorder ? "Backorder" : "Bulk upload"} for customer: ${customerName} (Shopify customer ID: ${customerNumericId})`;
+      if (sheetName) {
+        note += ` – sheet: ${sheetName}`;
+      }
 
-    console.log("CREATE intent: preparing OC DraftOrderCreate payload:", {
-      shopNumericId,
-      customerGid,
-      customerName,
-      totalQuantity,
-      lineItemsCount: lineItems.length,
-      companyId,
-      companyLocationId,
-      companyContactId,
-    });
+      const substitutions = [...lineByKey.values()].filter((line) => line.substitutedFor);
+      if (substitutions.length > 0) {
+        note +=
+          " – substitutions: " +
+          substitutions.map((line) => `${line.substitutedFor} → ${line.sku}`).join(", ");
+      }
+      if (orderDetails.requiredBy) {
+        note += ` – required by ${orderDetails.requiredBy}`;
+      }
+      if (orderDetails.note) {
+        note += `\n\n${orderDetails.note}`;
+      }
 
-    let draftOrder = null;
+      const customAttributes = [...orderDetails.customAttributes];
+      if (orderDetails.requiredBy) {
+        customAttributes.push({ key: "Required by", value: orderDetails.requiredBy });
+      }
 
-    try {
-      const ocResp = await fetch(
-        "https://dev.bloomandgrowgroup.com/index.php?route=bloom/import_order/DraftOrderCreate",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            shop_id: shopNumericId,
-            customerId: customerGid,
-            customerName: customerName,
-            lineItems,
-            note,
+      console.log("CREATE intent: preparing draft order payload:", {
+        shopNumericId,
+        customerGid,
+        customerName,
+        sheetName,
+        isBackorder,
+        totalQuantity,
+        lineItemsCount: lineItems.length,
+        companyId,
+        companyLocationId,
+        companyContactId,
+        orderBackend: orderBackend.key,
+        idempotencyKey,
+      });
+
+      // The upload, and with it the draft's idempotency key, is saved before
+      // the backend is asked for the draft; its orderId is filled in once the
+      // draft exists. A later create for this preview finds it either way.
+      let upload = pendingUpload;
+      if (!upload) {
+        upload = await db.bulkOrderUpload.create({
+          data: {
+            shopId: shopNumericId || null,
+            customerId: customerNumericId,
+            customerName,
+            orderId: null,
             totalQuantity,
+            isBackorder,
+            backorderPolicy,
+            backorderQuantity: backorders.reduce((sum, line) => sum + line.quantity, 0),
+            backorderLines: backorders.length > 0 ? backorders : undefined,
             companyId,
-            companyLocationId,
             companyContactId,
-          }),
-        },
-      );
-
-      if (!ocResp.ok) {
-        const debugText = await ocResp.text();
-        console.error("OC DraftOrderCreate HTTP error:", ocResp.status, ocResp.statusText, debugText);
-        throw new Error(`OC HTTP error ${ocResp.status} ${ocResp.statusText}`);
+            companyLocationId,
+            companyName: b2bContext.companyName,
+            companyLocationName: b2bContext.companyLocationName,
+            poNumber: orderDetails.poNumber || null,
+            orderNote: orderDetails.note || null,
+            tags: orderDetails.tags.length > 0 ? orderDetails.tags : undefined,
+            requiredBy: orderDetails.requiredBy ? new Date(orderDetails.requiredBy) : null,
+            shippingAddress: orderDetails.shippingAddress || undefined,
+            customAttributes:
+              orderDetails.customAttributes.length > 0 ? orderDetails.customAttributes : undefined,
+            orderDiscount: orderDiscount || undefined,
+            idempotencyKey,
+          },
+        });
       }
 
-      let ocJson = null;
+      let draftOrder;
       try {
-        ocJson = await ocResp.json();
-      } catch (e) {
-        console.error("OC DraftOrderCreate: failed to parse JSON", e);
-        throw new Error("OC DraftOrderCreate: invalid JSON response");
+        draftOrder = await orderBackend.createDraftOrder({
+          shop_id: shopNumericId,
+          customerId: customerGid,
+          customerName: customerName,
+          lineItems,
+          note,
+          poNumber: orderDetails.poNumber || undefined,
+          tags: orderDetails.tags,
+          shippingAddress: orderDetails.shippingAddress || undefined,
+          requiredBy: orderDetails.requiredBy || undefined,
+          customAttributes,
+          ...(orderDiscount?.code && { discountCodes: [orderDiscount.code] }),
+          ...(orderDiscount?.valueType && {
+            appliedDiscount: {
+              valueType: orderDiscount.valueType,
+              value: orderDiscount.value,
+              title: orderDiscount.title,
+            },
+          }),
+          totalQuantity,
+          companyId,
+          companyLocationId,
+          companyContactId,
+          idempotencyKey,
+        });
+      } catch (err) {
+        // The backend refused the draft, so a retry may ask for it again.
+        await db.bulkOrderUpload.delete({ where: { id: upload.id } }).catch((dbErr) => {
+          console.error("Error removing pending bulk upload from Prisma", dbErr);
+        });
+        throw err;
       }
 
-      console.log("OC DraftOrderCreate raw response:", ocJson);
+      const realOrderId = draftOrder.id;
+      const realOrderLegacyId = draftOrder.legacyResourceId || "";
+      const realOrderName = draftOrder.name || "";
 
-      if (!ocJson || !ocJson.success || !ocJson.draftOrder) {
-        console.error("OC DraftOrderCreate: invalid or unsuccessful response", ocJson);
-        throw new Error(ocJson?.error || "Invalid response from Shopify GraphQL");
+      console.log(`Draft order created (via ${orderBackend.label}):`, {
+        id: realOrderId,
+        legacyId: realOrderLegacyId,
+        name: realOrderName,
+        isBackorder,
+      });
+
+      try {
+        await db.bulkOrderUpload.update({
+          where: { id: upload.id },
+          data: {
+            orderId: realOrderId,
+            orderLegacyId: realOrderLegacyId,
+            orderName: realOrderName,
+          },
+        });
+        console.log("BulkOrderUpload saved to Prisma");
+      } catch (dbErr) {
+        console.error("Error saving bulk upload to Prisma", dbErr);
+        unrecordedOrderName = realOrderName || realOrderLegacyId || realOrderId;
+        throw dbErr;
       }
 
-      draftOrder = ocJson.draftOrder;
-    } catch (err) {
-      console.error("Error calling OC DraftOrderCreate:", err);
-      return {
-        mode: "error",
-        error:
-          "Failed to create draft order via external service. " +
-          (err.message || "Please check the uploaded data."),
-        customerName,
-        customerId: customerIdRaw,
-        previewRows,
-      };
-    }
+      createdOrderNames.push(realOrderName || realOrderLegacyId || realOrderId);
+    };
 
-    if (!draftOrder) {
-      console.error("CREATE intent: draftOrder is null after OC call");
-      return {
-        mode: "error",
-        error:
-          "Failed to create draft order via external service. Please check the uploaded data.",
-        customerName,
-        customerId: customerIdRaw,
-        previewRows,
-      };
-    }
+    // Each draft's idempotency key (see draftIdempotencyKey) is recorded on
+    // its upload and sent to the order backend. Drafts a failed attempt
+    // already made are reused on retry.
+    for (const [sheetName, group] of groups) {
+      const drafts = [];
+      if (group.orderRows.length > 0) {
+        const subtotal = priceRows(group.orderRows, backorderPolicy).subtotal;
+        const choice =
+          discountChoice.type === "fixed" && orderSubtotal > 0
+            ? {
+                ...discountChoice,
+                value: Math.round((discountChoice.value * subtotal * 100) / orderSubtotal) / 100,
+              }
+            : discountChoice;
+        const totalQuantity = group.orderRows.reduce((sum, row) => sum + row.orderQuantity, 0);
+
+        drafts.push({
+          sheetName,
+          lines: group.orderRows.map((row) => ({
+            variantId: row.variantId,
+            sku: row.substitutedFrom ? row.substituteSku : row.sku,
+            quantity: row.orderQuantity,
+            substitutedFor: row.substitutedFrom?.sku,
+            priceOverride: row.priceOverride,
+            discount: row.discount,
+            lineAttributes: row.lineAttributes,
+            currencyCode: row.pricing?.currencyCode,
+          })),
+          isBackorder: false,
+          // With "separate" the shortfall is recorded on its backorder draft.
+          backorders: separateBackorders ? [] : group.backorderLines,
+          orderDiscount: resolveOrderDiscount(choice, discountRules, { totalQuantity, subtotal }),
+        });
+      }
+      if (separateBackorders && group.backorderLines.length > 0) {
+        drafts.push({
+          sheetName,
+          lines: group.backorderLines,
+          isBackorder: true,
+          backorders: group.backorderLines,
+        });
+      }
 
-    const realOrderId = draftOrder.id;
-    const realOrderLegacyId = draftOrder.legacyResourceId || "";
-    const realOrderName = draftOrder.name || "";
+      for (const draft of drafts) {
+        const idempotencyKey = draftIdempotencyKey(
+          preview.idempotencyKey,
+          sheetName,
+          draft.isBackorder,
+        );
+        const existingUpload = existingUploads.get(idempotencyKey);
+        if (existingUpload?.orderId) {
+          console.log("CREATE intent: draft already created for", idempotencyKey);
+          createdOrderNames.push(uploadOrderName(existingUpload));
+          continue;
+        }
 
-    console.log("Draft order created (via OC):", {
-      id: realOrderId,
-      legacyId: realOrderLegacyId,
-      name: realOrderName,
-    });
+        try {
+          // An upload without an orderId is from an attempt that asked the
+          // backend for this draft and never recorded the answer. Only a
+          // backend that honours the idempotency key can safely be asked again.
+          if (existingUpload && !orderBackend.idempotent) {
+            throw new Error(
+              "An earlier attempt may already have created this draft. Check the drafts in " +
+                "Shopify before creating this order again.",
+            );
+          }
+          await createDraft({ ...draft, idempotencyKey, pendingUpload: existingUpload });
+        } catch (err) {
+          console.error(`Error creating draft order via ${orderBackend.label}:`, err);
+          await releasePreview();
+
+          // Its pending upload keeps the draft from being created again.
+          if (unrecordedOrderName) {
+            return {
+              mode: "error",
+              error:
+                `Draft order(s) ${[...createdOrderNames, unrecordedOrderName].join(", ")} ` +
+                `were created, but ${unrecordedOrderName} couldn't be saved to the import ` +
+                "history. Don't create this order again; check the drafts in Shopify.",
+              customerName,
+              customerId: customerIdRaw,
+              previewRows,
+            };
+          }
+
+          let error =
+            `Failed to create draft order via ${orderBackend.label}. ` +
+            (err.message || "Please check the uploaded data.");
+          if (createdOrderNames.length > 0) {
+            const what = draft.isBackorder
+              ? "the backorder draft"
+              : sheetName
+                ? `sheet "${sheetName}"`
+                : "the order";
+            error =
+              `Draft order(s) ${createdOrderNames.join(", ")} were created, but ${what} ` +
+              "failed. " +
+              (err.message || "Please check the uploaded data.");
+          }
+
+          return {
+            mode: "error",
+            error,
+            customerName,
+            customerId: customerIdRaw,
+            previewRows,
+          };
+        }
+      }
+    }
 
     try {
-      await db.bulkOrderUpload.create({
-        data: {
-          shopId: shopNumericId || null,
-          customerId: customerNumericId,
-          customerName,
-          orderId: realOrderId,
-          orderLegacyId: realOrderLegacyId,
-          orderName: realOrderName,
-          totalQuantity,
-        },
-      });
-      console.log("BulkOrderUpload saved to Prisma");
-    } catch (dbErr) {
-      console.error("Error saving bulk upload to Prisma", dbErr);
+      await completePreviewSession(preview.id);
+    } catch (err) {
+      console.error("CREATE intent: failed to mark preview session complete", err);
     }
 
-    const createdOrderNameParam = encodeURIComponent(realOrderName || realOrderLegacyId || realOrderId);
-    return redirect(`/app?createdOrderName=${createdOrderNameParam}`);
+    return redirectToCreated(createdOrderNames);
   }
 
   return { mode: "idle" };
 };
 
+const orderDetailInputStyle = {
+  display: "block",
+  width: "100%",
+  marginTop: "4px",
+  padding: "0.4rem 0.5rem",
+  borderRadius: "8px",
+  border: "1px solid #8c9196",
+  fontSize: "14px",
+  boxSizing: "border-box",
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-AU", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
 export default function ImportOrdersIndex() {
-  const { history, customers, shopAdminSubdomain, createdOrderName } = useLoaderData();
+  const {
+    history,
+    customers,
+    shopAdminSubdomain,
+    createdOrderName,
+    catalogStatus,
+    locations,
+    discountRules,
+  } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
 
   const isSubmitting = navigation.state === "submitting";
   const inPreviewMode = actionData && actionData.mode === "preview";
+  const inMappingMode = actionData && actionData.mode === "mapping";
+  const inSheetMode = actionData && actionData.mode === "sheets";
   const hasError = !!(actionData && actionData.error);
   const hasSuccess = !!createdOrderName;
+  // A sync's bulk export is running, or its result is being loaded. Only a
+  // running export blocks a new sync, so a load a crash left behind can be redone.
+  const catalogSyncing = ["running", "loading"].includes(catalogStatus?.status);
 
   // Customer soft search state (client-side only)
   const [customerQuery, setCustomerQuery] = useState(actionData?.customerName || "");
   const [selectedCustomerId, setSelectedCustomerId] = useState(actionData?.customerId || "");
   const [customerOptions, setCustomerOptions] = useState([]);
 
+  // Company location the order is for, when the customer is a B2B contact
+  const customerCompanies = useFetcher();
+  const [companyLocationId, setCompanyLocationId] = useState(
+    actionData?.b2bContext?.companyLocationId || "",
+  );
+  // Index into shippingAddresses ("" = the default address)
+  const [shippingAddressIndex, setShippingAddressIndex] = useState("");
+
   const [previewCancelled, setPreviewCancelled] = useState(false);
+  // Column mapping step (field key -> normalised header)
+  const [columnMapping, setColumnMapping] = useState(actionData?.suggestedMapping || {});
+  const [saveMappingProfile, setSaveMappingProfile] = useState(false);
+
+  // Fulfillment locations to allocate from, first choice first (none = all)
+  const [locationRanking, setLocationRanking] = useState(actionData?.locationIds || []);
+
+  // What to do with shortfalls on create (see BACKORDER_POLICIES)
+  const [backorderPolicy, setBackorderPolicy] = useState("drop");
+
+  // Order-level discount for the draft (see ORDER_DISCOUNT_TYPES); the shop's
+  // discount rules apply unless staff choose otherwise.
+  const [discountType, setDiscountType] = useState(discountRules?.length ? "rule" : "none");
+  const [discountValue, setDiscountValue] = useState("");
+  const [discountCode, setDiscountCode] = useState("");
+
+  // Staff choices in the preview table (e.g. picking a variant for an
+  // ambiguous SKU), replayed over the previewed rows; see applyPreviewChoices.
+  const [previewChoices, setPreviewChoices] = useState([]);
+  const previewRows = useMemo(() => {
+    const rows = actionData?.previewRows || [];
+    return applyPreviewChoices(rows, previewChoices) || rows;
+  }, [actionData, previewChoices]);
+  const addPreviewChoice = (choice) => setPreviewChoices((choices) => [...choices, choice]);
   const fileInputRef = useRef(null);
 
   // ✅ Import History search + pagination (client-side)
@@ -699,6 +1535,8 @@ export default function ImportOrdersIndex() {
       setCustomerQuery("");
       setSelectedCustomerId("");
       setCustomerOptions([]);
+      setCompanyLocationId("");
+      setShippingAddressIndex("");
       if (fileInputRef.current) {
         fileInputRef.current.value = "";
       }
@@ -707,6 +1545,8 @@ export default function ImportOrdersIndex() {
 
   useEffect(() => {
     setPreviewCancelled(false);
+    setPreviewChoices([]);
+    setColumnMapping(actionData?.suggestedMapping || {});
   }, [actionData]);
 
   // Reset pagination whenever search changes
@@ -740,6 +1580,77 @@ export default function ImportOrdersIndex() {
     setSelectedCustomerId(customer.id);
     setCustomerQuery(customer.displayName || "");
     setCustomerOptions([]);
+    setCompanyLocationId("");
+    setShippingAddressIndex("");
+    customerCompanies.load(`/app/customer-companies?customerId=${encodeURIComponent(customer.id)}`);
+  };
+
+  const handleChooseCandidate = (rowIndex, variantId) => {
+    addPreviewChoice({ type: "candidate", rowIndex, variantId });
+  };
+
+  const handleAcceptSuggestion = (rowIndex, candidate) => {
+    addPreviewChoice({ type: "suggestion", rowIndex, variantId: candidate.variantId });
+  };
+
+  const handleUndoSuggestion = (rowIndex) => {
+    addPreviewChoice({ type: "undoSuggestion", rowIndex, variantId: null });
+  };
+
+  const handleSubstitute = (rowIndex, variantId) => {
+    addPreviewChoice({ type: "substitute", rowIndex, variantId: variantId || null });
+  };
+
+  // Round requested quantities to what the variant's quantity rule allows:
+  // one row, or every row flagged with the "quantity rule" status.
+  const handleRoundQuantities = (rowIndex = null) => {
+    addPreviewChoice({ type: "round", rowIndex, variantId: null });
+  };
+
+  const handleToggleLocation = (locationId) => {
+    setLocationRanking((ranking) =>
+      ranking.includes(locationId)
+        ? ranking.filter((id) => id !== locationId)
+        : [...ranking, locationId],
+    );
+  };
+
+  const handleMoveLocation = (locationId, offset) => {
+    setLocationRanking((ranking) => {
+      const from = ranking.indexOf(locationId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= ranking.length) return ranking;
+
+      const next = [...ranking];
+      next.splice(from, 1);
+      next.splice(to, 0, locationId);
+      return next;
+    });
+  };
+
+  const locationName = (locationId) =>
+    (locations || []).find((location) => location.id === locationId)?.name || "Unknown location";
+
+  const handleApplyMappingProfile = (event) => {
+    const profile = (actionData?.profiles || []).find(
+      (p) => String(p.id) === event.target.value,
+    );
+    if (profile) {
+      setColumnMapping(profile.mapping || {});
+    }
+  };
+
+  const handleDownloadRejectedRows = () => {
+    const customerSlug = String(actionData?.customerName || "customer")
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-|-$/g, "")
+      .toLowerCase();
+
+    downloadRejectedRows(
+      actionData.rejectedRows,
+      actionData.sheetHeaders,
+      `rejected-rows-${customerSlug || "customer"}.xlsx`,
+    ).catch((err) => console.error("Failed to build rejected rows file", err));
   };
 
   const handleCancelPreview = () => {
@@ -753,8 +1664,74 @@ export default function ImportOrdersIndex() {
   };
 
   const showPreview = inPreviewMode && !previewCancelled;
+  const rejectedRows = previewCancelled ? [] : actionData?.rejectedRows || [];
+  const showSheetColumn = (actionData?.sheetNames || []).length > 1;
+  const rowLabel = (row) =>
+    showSheetColumn ? `${row.sheetName} row ${row.rowNumber}` : `row ${row.rowNumber}`;
+  const quantityRuleLabel = (rule) =>
+    [
+      rule.minimum > 1 && `min ${rule.minimum}`,
+      rule.maximum != null && `max ${rule.maximum}`,
+      rule.increment > 1 && `in ${rule.increment}s`,
+    ]
+      .filter(Boolean)
+      .join(", ");
   const showHistory = !inPreviewMode || previewCancelled;
 
+  const companies =
+    selectedCustomerId && customerCompanies.state === "idle"
+      ? customerCompanies.data?.companies || []
+      : [];
+  const companyLocationCount = companies.reduce(
+    (sum, company) => sum + company.locations.length,
+    0,
+  );
+  const onlyCompany =
+    companyLocationCount === 1 ? companies.find((company) => company.locations.length) : null;
+
+  // Shipping addresses to choose from: the chosen company location's, then
+  // the customer's saved addresses.
+  const chosenLocation = onlyCompany
+    ? onlyCompany.locations[0]
+    : companies
+        .flatMap((company) => company.locations)
+        .find((location) => location.id === companyLocationId);
+  const shippingAddresses = [
+    ...(chosenLocation?.shippingAddress
+      ? [{ label: chosenLocation.name, address: chosenLocation.shippingAddress }]
+      : []),
+    ...(selectedCustomerId && customerCompanies.state === "idle"
+      ? customerCompanies.data?.addresses || []
+      : []
+    ).map((address) => ({ label: "Customer address", address })),
+  ];
+
+  const orderDetails = actionData?.orderDetails || EMPTY_ORDER_DETAILS;
+  const orderDetailsSummary = [
+    orderDetails.poNumber &&
+      `PO ${orderDetails.poNumber}${actionData?.poNumberFromFile ? " (from the file)" : ""}`,
+    orderDetails.requiredBy && `Required by ${orderDetails.requiredBy}`,
+    orderDetails.tags.length > 0 && `Tags: ${orderDetails.tags.join(", ")}`,
+    orderDetails.shippingAddress && `Ship to ${formatAddress(orderDetails.shippingAddress)}`,
+    orderDetails.customAttributes.length > 0 &&
+      orderDetails.customAttributes.map((a) => `${a.key}: ${a.value}`).join(", "),
+    orderDetails.note && `Note: ${orderDetails.note}`,
+  ].filter(Boolean);
+
+  // What each row costs as it would be ordered under the chosen backorder policy
+  const pricing = useMemo(
+    () => priceRows(previewRows, backorderPolicy),
+    [previewRows, backorderPolicy],
+  );
+  const orderDiscount = resolveOrderDiscount(
+    { type: discountType, value: Number(discountValue) || 0, code: discountCode.trim() },
+    discountRules,
+    {
+      totalQuantity: pricing.lines.reduce((sum, line) => sum + (line?.quantity || 0), 0),
+      subtotal: pricing.subtotal,
+    },
+  );
+
   // Search helper for history table
   const normalizedHistorySearch = historySearch.trim().toLowerCase();
 
@@ -763,12 +1740,16 @@ export default function ImportOrdersIndex() {
 
     return (history || []).filter((item) => {
       const customerName = String(item.customerName || "").toLowerCase();
+      const companyName = String(item.companyName || "").toLowerCase();
+      const poNumber = String(item.poNumber || "").toLowerCase();
       const orderName = String(item.orderName || "").toLowerCase(); // "#61"
       const legacyId = String(item.orderLegacyId || "").toLowerCase();
       const orderId = String(item.orderId || "").toLowerCase();
 
       return (
         customerName.includes(normalizedHistorySearch) ||
+        companyName.includes(normalizedHistorySearch) ||
+        poNumber.includes(normalizedHistorySearch) ||
         orderName.includes(normalizedHistorySearch) ||
         legacyId.includes(normalizedHistorySearch) ||
         orderId.includes(normalizedHistorySearch)
@@ -841,7 +1822,7 @@ export default function ImportOrdersIndex() {
                 <s-text as="span" emphasis="bold">
                   quantity
                 </s-text>
-                .
+                . Files with other column names can be mapped after upload.
               </s-paragraph>
 
               <Form method="post" encType="multipart/form-data">
@@ -917,6 +1898,55 @@ export default function ImportOrdersIndex() {
                       ))}
                     </div>
                   )}
+
+                  {onlyCompany && (
+                    <div style={{ fontSize: "13px", color: "#6d7175", marginTop: "6px" }}>
+                      <input
+                        type="hidden"
+                        name="companyLocationId"
+                        value={onlyCompany.locations[0].id}
+                      />
+                      Ordering for {onlyCompany.companyName} – {onlyCompany.locations[0].name}
+                    </div>
+                  )}
+
+                  {companyLocationCount > 1 && (
+                    <div style={{ marginTop: "8px" }}>
+                      <label style={{ display: "block", marginBottom: "0.25rem", fontSize: "13px" }}>
+                        Company location
+                        <select
+                          name="companyLocationId"
+                          required
+                          value={companyLocationId}
+                          onChange={(e) => {
+                            setCompanyLocationId(e.target.value);
+                            setShippingAddressIndex("");
+                          }}
+                          style={{
+                            display: "block",
+                            marginTop: "4px",
+                            padding: "0.4rem 0.5rem",
+                            borderRadius: "8px",
+                            border: "1px solid #8c9196",
+                            fontSize: "14px",
+                          }}
+                        >
+                          <option value="" disabled>
+                            Choose the company and location this order is for
+                          </option>
+                          {companies.map((company) => (
+                            <optgroup key={company.companyId} label={company.companyName}>
+                              {company.locations.map((location) => (
+                                <option key={location.id} value={location.id}>
+                                  {location.name}
+                                </option>
+                              ))}
+                            </optgroup>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                  )}
                 </s-box>
 
                 <s-box paddingBlockEnd="base">
@@ -931,6 +1961,409 @@ export default function ImportOrdersIndex() {
                   />
                 </s-box>
 
+                <fieldset
+                  key={createdOrderName || "order-details"}
+                  style={{ border: "none", padding: 0, margin: "0 0 16px" }}
+                >
+                  <legend style={{ fontWeight: 500, marginBottom: "0.25rem" }}>Order details</legend>
+                  <div
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+                      gap: "8px 16px",
+                      fontSize: "13px",
+                    }}
+                  >
+                    <label>
+                      PO number
+                      <input
+                        type="text"
+                        name="poNumber"
+                        defaultValue={actionData?.orderDetails?.poNumber || ""}
+                        placeholder="Read from the file when left blank"
+                        style={orderDetailInputStyle}
+                      />
+                    </label>
+                    <label>
+                      Required by
+                      <input
+                        type="date"
+                        name="requiredBy"
+                        defaultValue={actionData?.orderDetails?.requiredBy || ""}
+                        style={orderDetailInputStyle}
+                      />
+                    </label>
+                    <label>
+                      Tags
+                      <input
+                        type="text"
+                        name="tags"
+                        defaultValue={(actionData?.orderDetails?.tags || []).join(", ")}
+                        placeholder="Comma separated"
+                        style={orderDetailInputStyle}
+                      />
+                    </label>
+                    <label>
+                      Shipping address
+                      <select
+                        value={shippingAddressIndex}
+                        onChange={(e) => setShippingAddressIndex(e.target.value)}
+                        style={orderDetailInputStyle}
+                      >
+                        <option value="">
+                          {companyLocationCount > 0
+                            ? "Company location's shipping address"
+                            : "Customer's default address"}
+                        </option>
+                        {shippingAddresses.map((option, index) => (
+                          <option key={index} value={String(index)}>
+                            {option.label}: {formatAddress(option.address)}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Note
+                      <textarea
+                        name="orderNote"
+                        rows={3}
+                        defaultValue={actionData?.orderDetails?.note || ""}
+                        style={orderDetailInputStyle}
+                      />
+                    </label>
+                    <label>
+                      Custom attributes
+                      <textarea
+                        name="customAttributes"
+                        rows={3}
+                        defaultValue={formatCustomAttributes(actionData?.orderDetails?.customAttributes)}
+                        placeholder={"One per line, e.g.\nDepartment: Garden"}
+                        style={orderDetailInputStyle}
+                      />
+                    </label>
+                  </div>
+                  <input
+                    type="hidden"
+                    name="shippingAddress"
+                    value={
+                      shippingAddresses[shippingAddressIndex]
+                        ? JSON.stringify(shippingAddresses[shippingAddressIndex].address)
+                        : ""
+                    }
+                  />
+                </fieldset>
+
+                {locations?.length > 1 && (
+                  <s-box paddingBlockEnd="base">
+                    <input type="hidden" name="locationIds" value={locationRanking.join(",")} />
+                    <div style={{ fontWeight: 500, marginBottom: "0.25rem" }}>Fulfillment locations</div>
+                    <div style={{ fontSize: "12px", color: "#6d7175", marginBottom: "6px" }}>
+                      Stock is allocated from the ticked locations, in this order. Leave all unticked
+                      to use every location.
+                    </div>
+                    {[
+                      ...locationRanking.filter((id) => locations.some((l) => l.id === id)),
+                      ...locations.map((l) => l.id).filter((id) => !locationRanking.includes(id)),
+                    ].map((locationId) => {
+                      const rank = locationRanking.indexOf(locationId);
+                      return (
+                        <div key={locationId} style={{ fontSize: "13px", padding: "2px 0" }}>
+                          <label>
+                            <input
+                              type="checkbox"
+                              checked={rank !== -1}
+                              onChange={() => handleToggleLocation(locationId)}
+                            />{" "}
+                            {rank !== -1 && <strong>{rank + 1}. </strong>}
+                            {locationName(locationId)}
+                          </label>
+                          {rank !== -1 && locationRanking.length > 1 && (
+                            <span style={{ marginLeft: "8px" }}>
+                              <button
+                                type="button"
+                                aria-label={`Move ${locationName(locationId)} up`}
+                                disabled={rank === 0}
+                                onClick={() => handleMoveLocation(locationId, -1)}
+                              >
+                                ↑
+                              </button>{" "}
+                              <button
+                                type="button"
+                                aria-label={`Move ${locationName(locationId)} down`}
+                                disabled={rank === locationRanking.length - 1}
+                                onClick={() => handleMoveLocation(locationId, 1)}
+                              >
+                                ↓
+                              </button>
+                            </span>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </s-box>
+                )}
+
+                <s-box paddingBlockEnd="base">
+                  <label style={{ fontSize: "13px" }}>
+                    <input
+                      type="checkbox"
+                      name="committedScope"
+                      value="all"
+                      defaultChecked={actionData?.committedScope === "all"}
+                    />{" "}
+                    Count stock on all open draft orders as committed (not only drafts created by
+                    this app)
+                  </label>
+                </s-box>
+
+                {inSheetMode && (
+                  <s-box paddingBlockEnd="base">
+                    <input type="hidden" name="sheetsSubmitted" value="1" />
+
+                    <div style={{ fontWeight: 600, margin: "6px 0 4px", fontSize: "14px" }}>
+                      Choose sheets
+                    </div>
+                    <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                      This workbook has {actionData.sheets.length} sheets. Choose which to import.
+                    </div>
+
+                    {actionData.sheets.map((sheet) => (
+                      <div
+                        key={sheet.name}
+                        style={{
+                          border: "1px solid #e1e3e5",
+                          borderRadius: "8px",
+                          padding: "6px 10px",
+                          marginBottom: "6px",
+                          fontSize: "13px",
+                        }}
+                      >
+                        <label>
+                          <input type="checkbox" name="sheets" value={sheet.name} />{" "}
+                          <strong>{sheet.name}</strong>{" "}
+                          <span style={{ color: "#6d7175" }}>
+                            ({sheet.rowCount} {sheet.rowCount === 1 ? "row" : "rows"})
+                          </span>
+                        </label>
+                        {sheet.sampleRows.length > 0 && (
+                          <table cellPadding={2} style={{ marginTop: "4px", color: "#6d7175", fontSize: "12px" }}>
+                            <tbody>
+                              {sheet.sampleRows.map((row, rowIdx) => (
+                                <tr key={rowIdx}>
+                                  {row.slice(0, 6).map((cell, cellIdx) => (
+                                    <td key={cellIdx} style={{ paddingRight: "10px" }}>
+                                      {String(cell)}
+                                    </td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    ))}
+
+                    <div style={{ fontSize: "13px", marginTop: "6px" }}>
+                      When several sheets are chosen:{" "}
+                      <label>
+                        <input type="radio" name="sheetMode" value="merge" defaultChecked /> merge
+                        into one order
+                      </label>{" "}
+                      <label>
+                        <input type="radio" name="sheetMode" value="separate" /> one draft order
+                        per sheet
+                      </label>
+                    </div>
+                  </s-box>
+                )}
+
+                {inMappingMode &&
+                  (actionData.selectedSheets || []).map((name) => (
+                    <input key={name} type="hidden" name="sheets" value={name} />
+                  ))}
+                {inMappingMode && (
+                  <input type="hidden" name="sheetMode" value={actionData.sheetMode || "merge"} />
+                )}
+
+                {inMappingMode ? (
+                  <s-box paddingBlockEnd="base">
+                    <input type="hidden" name="mappingSubmitted" value="1" />
+
+                    <div style={{ fontWeight: 600, margin: "6px 0 4px", fontSize: "14px" }}>
+                      Map columns
+                    </div>
+                    <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                      Choose which column of the file holds each field.
+                    </div>
+
+                    {actionData.profiles?.length > 0 && (
+                      <div style={{ marginBottom: "8px" }}>
+                        <label htmlFor="mappingProfile" style={{ fontSize: "13px", marginRight: "6px" }}>
+                          Apply saved profile
+                        </label>
+                        <select id="mappingProfile" defaultValue="" onChange={handleApplyMappingProfile}>
+                          <option value="">—</option>
+                          {actionData.profiles.map((profile) => (
+                            <option key={profile.id} value={profile.id}>
+                              {profile.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <table width="100%" cellPadding={4} style={{ borderCollapse: "collapse", fontSize: "13px" }}>
+                      <thead>
+                        <tr>
+                          <th style={{ textAlign: "left" }}>Field</th>
+                          <th style={{ textAlign: "left" }}>Column</th>
+                          <th style={{ textAlign: "left" }}>Sample</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {IMPORT_FIELDS.map((field) => {
+                          if (field.multiple) {
+                            const selectedHeaders = Array.isArray(columnMapping[field.key])
+                              ? columnMapping[field.key]
+                              : [];
+                            const toggleHeader = (header) =>
+                              setColumnMapping((current) => {
+                                const list = Array.isArray(current[field.key])
+                                  ? current[field.key]
+                                  : [];
+                                return {
+                                  ...current,
+                                  [field.key]: list.includes(header)
+                                    ? list.filter((h) => h !== header)
+                                    : [...list, header],
+                                };
+                              });
+
+                            return (
+                              <tr key={field.key}>
+                                <td>
+                                  {field.label}
+                                  <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                    Sent with each line, named after the column
+                                  </div>
+                                </td>
+                                <td colSpan={2}>
+                                  {actionData.headers.map((header, idx) =>
+                                    header ? (
+                                      <label key={idx} style={{ marginRight: "12px", whiteSpace: "nowrap" }}>
+                                        <input
+                                          type="checkbox"
+                                          name={`mapping_${field.key}`}
+                                          value={normalizeHeader(header)}
+                                          checked={selectedHeaders.includes(normalizeHeader(header))}
+                                          onChange={() => toggleHeader(normalizeHeader(header))}
+                                        />{" "}
+                                        {header}
+                                      </label>
+                                    ) : null,
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          }
+
+                          const selected = columnMapping[field.key] || "";
+                          const columnIndex = actionData.headers.findIndex(
+                            (h) => normalizeHeader(h) === selected,
+                          );
+                          const samples =
+                            columnIndex === -1
+                              ? []
+                              : actionData.sampleRows
+                                  .map((row) => String(row[columnIndex] ?? "").trim())
+                                  .filter(Boolean)
+                                  .slice(0, 3);
+
+                          return (
+                            <tr key={field.key}>
+                              <td>
+                                <label htmlFor={`mapping_${field.key}`}>
+                                  {field.label}
+                                  {field.required ? " *" : ""}
+                                </label>
+                                {field.unlessMapped && (
+                                  <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                    Not needed when rows use a product handle
+                                  </div>
+                                )}
+                              </td>
+                              <td>
+                                <select
+                                  id={`mapping_${field.key}`}
+                                  name={`mapping_${field.key}`}
+                                  value={selected}
+                                  onChange={(e) =>
+                                    setColumnMapping((current) => ({
+                                      ...current,
+                                      [field.key]: e.target.value,
+                                    }))
+                                  }
+                                >
+                                  <option value="">— not mapped —</option>
+                                  {actionData.headers.map((header, idx) =>
+                                    header ? (
+                                      <option key={idx} value={normalizeHeader(header)}>
+                                        {header}
+                                      </option>
+                                    ) : null,
+                                  )}
+                                </select>
+                              </td>
+                              <td style={{ color: "#6d7175" }}>{samples.join(", ")}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+
+                    <div style={{ marginTop: "8px", fontSize: "13px" }}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          name="saveMappingProfile"
+                          value="1"
+                          checked={saveMappingProfile}
+                          onChange={(e) => setSaveMappingProfile(e.target.checked)}
+                        />{" "}
+                        Save this mapping as a profile
+                      </label>
+                      {saveMappingProfile && (
+                        <div style={{ display: "flex", gap: "12px", alignItems: "center", marginTop: "6px" }}>
+                          <input
+                            type="text"
+                            name="mappingProfileName"
+                            placeholder="Profile name"
+                            aria-label="Profile name"
+                            required
+                            style={{
+                              padding: "0.35rem 0.5rem",
+                              borderRadius: "8px",
+                              border: "1px solid #8c9196",
+                              fontSize: "13px",
+                            }}
+                          />
+                          <label>
+                            <input type="checkbox" name="mappingProfileForCustomer" value="1" /> Only
+                            for this customer
+                          </label>
+                        </div>
+                      )}
+                    </div>
+                  </s-box>
+                ) : (
+                  <s-box paddingBlockEnd="base">
+                    <label style={{ fontSize: "13px", color: "#6d7175" }}>
+                      <input type="checkbox" name="reviewMapping" value="1" /> Review column
+                      mapping before preview
+                    </label>
+                  </s-box>
+                )}
+
                 <button
                   type="submit"
                   disabled={isSubmitting}
@@ -977,6 +2410,80 @@ export default function ImportOrdersIndex() {
           </div>
         </s-section>
 
+        {rejectedRows.length > 0 && (
+          <s-section>
+            <h2
+              style={{
+                fontSize: "16px",
+                fontWeight: 600,
+                marginBottom: "12px",
+                borderBottom: "1px solid #ededed",
+                paddingBottom: "10px",
+              }}
+            >
+              Rejected rows ({rejectedRows.length})
+            </h2>
+
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: "12px",
+                marginBottom: "8px",
+              }}
+            >
+              <s-paragraph>
+                These rows of the file were not imported. Download them with the reason
+                added to send back to the customer.
+              </s-paragraph>
+              <button
+                type="button"
+                onClick={handleDownloadRejectedRows}
+                style={{
+                  backgroundColor: "#ffffff",
+                  border: "1px solid #c9cccf",
+                  borderRadius: "8px",
+                  padding: "6px 10px",
+                  fontSize: "13px",
+                  cursor: "pointer",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                Download annotated XLSX
+              </button>
+            </div>
+
+            <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+              <table width="100%" cellPadding={6} style={{ borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: "left" }}>Row</th>
+                    {showSheetColumn && <th style={{ textAlign: "left" }}>Sheet</th>}
+                    <th style={{ textAlign: "left" }}>SKU</th>
+                    <th style={{ textAlign: "left" }}>Quantity</th>
+                    <th style={{ textAlign: "left" }}>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rejectedRows.map((row, idx) => (
+                    <tr
+                      key={`${row.sheetName}-${row.rowNumber}`}
+                      style={{ backgroundColor: idx % 2 === 0 ? "#ffffff" : "#f7f7f7" }}
+                    >
+                      <td style={{ textAlign: "left" }}>{row.rowNumber}</td>
+                      {showSheetColumn && <td style={{ textAlign: "left" }}>{row.sheetName}</td>}
+                      <td style={{ textAlign: "left" }}>{row.sku}</td>
+                      <td style={{ textAlign: "left" }}>{row.quantity}</td>
+                      <td style={{ textAlign: "left", color: "#8e1f0b" }}>{row.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </s-box>
+          </s-section>
+        )}
+
         {showPreview && (
           <s-section>
             <h2
@@ -992,63 +2499,507 @@ export default function ImportOrdersIndex() {
             </h2>
 
             <s-paragraph>
-              Review the items before creating the order. Only existing SKUs with available
-              inventory will be added.
+              Review the items before creating the order. Rows are matched by SKU, barcode,
+              variant ID or product handle and options; only matched items with available
+              inventory will be added. Where several variants match a row, choose the right
+              one or the row is left out. Draft and archived products, and for B2B customers
+              products outside their catalog, are never added. Prices are what the customer
+              pays: their company location&apos;s catalog price, with volume pricing, or the
+              product price.
             </s-paragraph>
 
+            {actionData.stockChanges?.length > 0 && (
+              <div
+                style={{
+                  color: "#5e4200",
+                  backgroundColor: "#fff5ea",
+                  border: "1px solid #ffd79d",
+                  padding: "10px",
+                  margin: "10px 0",
+                  borderRadius: "6px",
+                }}
+              >
+                <strong>Stock changed since the preview.</strong> The draft wasn&apos;t created.
+                These rows would now be fulfilled differently; check the preview below and
+                confirm again.
+                <table cellPadding={4} style={{ borderCollapse: "collapse", marginTop: "8px" }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: "left" }}>Row</th>
+                      <th style={{ textAlign: "left" }}>SKU</th>
+                      <th style={{ textAlign: "right" }}>Previously fulfilled</th>
+                      <th style={{ textAlign: "right" }}>Now fulfilled</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {actionData.stockChanges.map((change) => (
+                      <tr key={change.rowIndex}>
+                        <td style={{ textAlign: "left" }}>{rowLabel(change)}</td>
+                        <td style={{ textAlign: "left" }}>{change.sku}</td>
+                        <td style={{ textAlign: "right" }}>{change.previousFulfilled}</td>
+                        <td style={{ textAlign: "right", fontWeight: 600 }}>
+                          {change.newFulfilled}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {showSheetColumn && actionData.sheetMode === "separate" && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                One draft order will be created per sheet.
+              </div>
+            )}
+
+            <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+              &ldquo;Committed elsewhere&rdquo; is stock already on{" "}
+              {actionData.committedScope === "all"
+                ? "open draft orders"
+                : "open draft orders created by this app"}
+              ; it isn&apos;t offered to this order.
+            </div>
+
+            {actionData.b2bContext?.companyLocationId && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                Ordering for {actionData.b2bContext.companyName} –{" "}
+                {actionData.b2bContext.companyLocationName}; catalog, quantity rules and prices
+                are this location&apos;s.
+              </div>
+            )}
+
+            {orderDetailsSummary.length > 0 && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                {orderDetailsSummary.join(" · ")}
+              </div>
+            )}
+
+            {actionData.reimportedFrom && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                Backorder re-imported from {actionData.reimportedFrom}.
+              </div>
+            )}
+
+            {actionData.locationIds?.length > 0 && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                Stock allocated from {actionData.locationIds.map(locationName).join(", then ")}.
+              </div>
+            )}
+
+            {actionData.mappingProfileName && (
+              <div style={{ fontSize: "13px", color: "#6d7175", marginBottom: "8px" }}>
+                Columns mapped with profile &ldquo;{actionData.mappingProfileName}&rdquo;.
+              </div>
+            )}
+
             <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
               <table width="100%" cellPadding={6} style={{ borderCollapse: "collapse" }}>
                 <thead>
                   <tr>
-                    <th style={{ textAlign: "left" }}>SKU</th>
+                    {showSheetColumn && <th style={{ textAlign: "left" }}>Sheet</th>}
+                    <th style={{ textAlign: "left" }}>SKU / identifier</th>
+                    <th style={{ textAlign: "left" }}>Matched on</th>
                     <th style={{ textAlign: "left" }}>Product Name</th>
                     <th style={{ textAlign: "left" }}>Available</th>
+                    <th style={{ textAlign: "left" }}>Committed elsewhere</th>
                     <th style={{ textAlign: "left" }}>Requested</th>
                     <th style={{ textAlign: "left" }}>Fulfilled</th>
+                    <th style={{ textAlign: "right" }}>Unit price</th>
+                    <th style={{ textAlign: "right" }}>Line total</th>
+                    <th style={{ textAlign: "left" }}>Currency</th>
                     <th style={{ textAlign: "left", width: "100px" }}>Status</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {actionData.previewRows.map((row, idx) => {
+                  {previewRows.map((row, idx) => {
                     const isNotFound = row.status === "sku not found" || row.status === "error";
                     const isNoStock = row.status === "no stock";
+                    const isAmbiguous = row.status === "ambiguous";
+                    const isBlocked = Boolean(row.blockedStatus);
+                    const breaksQuantityRule = row.status === QUANTITY_RULE;
 
                     let textColor = "#000000";
-                    if (isNotFound) textColor = "#ff0000";
+                    if (isNotFound || isBlocked) textColor = "#ff0000";
                     else if (isNoStock) textColor = "#aaaaaa";
+                    else if (isAmbiguous || breaksQuantityRule) textColor = "#b98900";
 
                     const isOddRow = idx % 2 === 0;
                     const backgroundColor = isOddRow ? "#ffffff" : "#f7f7f7";
 
                     return (
                       <tr key={idx} style={{ backgroundColor, color: textColor }}>
-                        <td style={{ textAlign: "left" }}>{row.sku}</td>
+                        {showSheetColumn && <td style={{ textAlign: "left" }}>{row.sheetName}</td>}
+                        <td style={{ textAlign: "left" }}>
+                          {row.sku ||
+                            [row.handle, ...(row.options || [])].filter(Boolean).join(" / ")}
+                          {row.customerCode && (
+                            <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                              Customer code {row.customerCode}
+                            </div>
+                          )}
+                          {row.description && (
+                            <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                              {row.description}
+                            </div>
+                          )}
+                          {row.lineAttributes?.map((attribute) => (
+                            <div key={attribute.key} style={{ fontSize: "12px", color: "#6d7175" }}>
+                              {attribute.key}: {attribute.value}
+                            </div>
+                          ))}
+                        </td>
+                        <td style={{ textAlign: "left" }}>
+                          {IDENTIFIER_LABELS[row.matchedOn] || "—"}
+                        </td>
+                        <td style={{ textAlign: "left" }}>
+                          {row.candidates?.length > 1 ? (
+                            <select
+                              aria-label={`Variant for ${row.sku || row.handle}`}
+                              value={row.variantId || ""}
+                              onChange={(e) => handleChooseCandidate(idx, e.target.value)}
+                              style={{ maxWidth: "100%", fontSize: "13px" }}
+                            >
+                              <option value="" disabled>
+                                {row.candidates.length} variants match this row – choose one
+                              </option>
+                              {row.candidates.map((candidate) => (
+                                <option key={candidate.variantId} value={candidate.variantId}>
+                                  {candidate.productName} ({candidate.availableQuantity} available)
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            row.productName || "* * * * * * *"
+                          )}
+                          {row.substitutes?.length > 0 &&
+                            (row.substitutedFrom ||
+                              row.status === "partial" ||
+                              row.status === "no stock") && (
+                              <div style={{ fontSize: "12px", marginTop: "4px" }}>
+                                <select
+                                  aria-label={`Substitute for ${row.sku}`}
+                                  value={row.substitutedFrom ? row.variantId : ""}
+                                  onChange={(e) => handleSubstitute(idx, e.target.value)}
+                                  style={{ maxWidth: "100%", fontSize: "12px" }}
+                                >
+                                  <option value="">
+                                    {row.substitutedFrom
+                                      ? `Keep original (${row.substitutedFrom.productName})`
+                                      : `${row.substitutes.length} substitute${row.substitutes.length === 1 ? "" : "s"} available – swap in`}
+                                  </option>
+                                  {row.substitutes.map((substitute) => (
+                                    <option key={substitute.variantId} value={substitute.variantId}>
+                                      {substitute.sku ? `${substitute.sku} – ` : ""}
+                                      {substitute.productName} ({substitute.availableQuantity} available)
+                                    </option>
+                                  ))}
+                                </select>
+                                {row.substitutedFrom && (
+                                  <div style={{ color: "#6d7175" }}>
+                                    Substituted for {row.substitutedFrom.sku}
+                                  </div>
+                                )}
+                              </div>
+                            )}
+                          {row.status === "sku not found" && row.suggestions?.length > 0 && (
+                            <div style={{ fontSize: "12px", color: "#202223", marginTop: "4px" }}>
+                              Did you mean:{" "}
+                              {row.suggestions.map((suggestion) => (
+                                <button
+                                  key={suggestion.variantId}
+                                  type="button"
+                                  onClick={() => handleAcceptSuggestion(idx, suggestion)}
+                                  title={`Use ${suggestion.productName} (${suggestion.availableQuantity} available)`}
+                                  style={{
+                                    marginRight: "6px",
+                                    padding: "1px 6px",
+                                    border: "1px solid #c9cccf",
+                                    borderRadius: "6px",
+                                    background: "#ffffff",
+                                    cursor: "pointer",
+                                    fontSize: "12px",
+                                  }}
+                                >
+                                  {suggestion.sku}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          {row.acceptedSuggestion && (
+                            <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                              Suggested SKU {row.acceptedSuggestion} accepted{" "}
+                              <button
+                                type="button"
+                                onClick={() => handleUndoSuggestion(idx)}
+                                style={{
+                                  border: "none",
+                                  background: "none",
+                                  color: "#005bd3",
+                                  cursor: "pointer",
+                                  padding: 0,
+                                  fontSize: "12px",
+                                }}
+                              >
+                                Undo
+                              </button>
+                            </div>
+                          )}
+                          {row.sharedWith && (
+                            <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                              {row.availableQuantity} in stock shared by{" "}
+                              {row.sharedWith
+                                .map(
+                                  (shared) =>
+                                    `${rowLabel(shared)} (${shared.fulfilledQuantity}/${shared.quantityRequested})`,
+                                )
+                                .join(", ")}
+                              ; one line on the draft order
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ textAlign: "left" }}>
+                          {row.availableQuantity}
+                          {row.levels?.length > 1 && (
+                            <div style={{ fontSize: "12px", color: "#6d7175", whiteSpace: "nowrap" }}>
+                              {row.levels.map((level) => (
+                                <div key={level.locationId}>
+                                  {locationName(level.locationId)}: {level.available}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ textAlign: "left" }}>{row.committedElsewhere || 0}</td>
+                        <td style={{ textAlign: "left" }}>
+                          {row.quantityRequested}
+                          {row.quantityRule && (
+                            <div style={{ fontSize: "12px", color: "#6d7175", whiteSpace: "nowrap" }}>
+                              {quantityRuleLabel(row.quantityRule)}
+                            </div>
+                          )}
+                          {breaksQuantityRule && (
+                            <button
+                              type="button"
+                              onClick={() => handleRoundQuantities(idx)}
+                              style={{
+                                border: "none",
+                                background: "none",
+                                color: "#005bd3",
+                                cursor: "pointer",
+                                padding: 0,
+                                fontSize: "12px",
+                                whiteSpace: "nowrap",
+                              }}
+                            >
+                              Round to {roundToQuantityRule(row.quantityRequested, row.quantityRule)}
+                            </button>
+                          )}
+                        </td>
+                        <td style={{ textAlign: "left" }}>
+                          {row.fulfilledQuantity}
+                          {row.levels?.length > 1 && row.allocations?.length > 0 && (
+                            <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                              from{" "}
+                              {row.allocations
+                                .map((a) => `${locationName(a.locationId)} ${a.quantity}`)
+                                .join(", ")}
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+                          {pricing.lines[idx] ? (
+                            <>
+                              {formatMoney(pricing.lines[idx].unitPrice, null)}
+                              {row.priceOverride != null ? (
+                                <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                  custom price
+                                  {row.pricing && ` (list ${formatMoney(row.pricing.price, null)})`}
+                                </div>
+                              ) : (
+                                !row.discount &&
+                                pricing.lines[idx].unitPrice < row.pricing.price && (
+                                  <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                    volume price
+                                  </div>
+                                )
+                              )}
+                              {row.discount && (
+                                <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                  {row.discount.valueType === "PERCENTAGE"
+                                    ? `${row.discount.value}% off`
+                                    : `${formatMoney(row.discount.value, null)} off each`}
+                                </div>
+                              )}
+                            </>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                        <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+                          {pricing.lines[idx]
+                            ? formatMoney(pricing.lines[idx].lineTotal, null)
+                            : "—"}
+                        </td>
+                        <td style={{ textAlign: "left" }}>{row.pricing?.currencyCode || "—"}</td>
                         <td style={{ textAlign: "left" }}>
-                          {row.productName || "* * * * * * *"}
+                          {row.status}
+                          {row.exist &&
+                            row.inventoryPolicy === "CONTINUE" &&
+                            row.fulfilledQuantity < row.quantityRequested && (
+                              <div style={{ fontSize: "12px", color: "#6d7175" }}>can oversell</div>
+                            )}
                         </td>
-                        <td style={{ textAlign: "left" }}>{row.availableQuantity}</td>
-                        <td style={{ textAlign: "left" }}>{row.quantityRequested}</td>
-                        <td style={{ textAlign: "left" }}>{row.fulfilledQuantity}</td>
-                        <td style={{ textAlign: "left" }}>{row.status}</td>
                       </tr>
                     );
                   })}
                 </tbody>
+                <tfoot>
+                  <tr style={{ borderTop: "1px solid #c9cccf", fontWeight: 600 }}>
+                    <td colSpan={showSheetColumn ? 9 : 8} style={{ textAlign: "right" }}>
+                      Subtotal ({pricing.lines.filter(Boolean).length} priced lines)
+                    </td>
+                    <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+                      {formatMoney(pricing.subtotal, pricing.currencyCode)}
+                    </td>
+                    <td style={{ textAlign: "left" }}>{pricing.currencyCode || "—"}</td>
+                    <td />
+                  </tr>
+                  {orderDiscount && (
+                    <tr>
+                      <td colSpan={showSheetColumn ? 9 : 8} style={{ textAlign: "right" }}>
+                        Order discount: {orderDiscount.title}
+                      </td>
+                      <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+                        {orderDiscount.amount === null
+                          ? "calculated by Shopify"
+                          : `−${formatMoney(orderDiscount.amount, pricing.currencyCode)}`}
+                      </td>
+                      <td style={{ textAlign: "left" }}>{pricing.currencyCode || "—"}</td>
+                      <td />
+                    </tr>
+                  )}
+                  {orderDiscount?.amount > 0 && (
+                    <tr style={{ fontWeight: 600 }}>
+                      <td colSpan={showSheetColumn ? 9 : 8} style={{ textAlign: "right" }}>
+                        Total before shipping and taxes
+                      </td>
+                      <td style={{ textAlign: "right", whiteSpace: "nowrap" }}>
+                        {formatMoney(pricing.subtotal - orderDiscount.amount, pricing.currencyCode)}
+                      </td>
+                      <td style={{ textAlign: "left" }}>{pricing.currencyCode || "—"}</td>
+                      <td />
+                    </tr>
+                  )}
+                </tfoot>
               </table>
             </s-box>
 
+            {previewRows.some((row) => row.status === QUANTITY_RULE) && (
+              <div style={{ fontSize: "13px", marginTop: "12px" }}>
+                Some requested quantities break the customer&apos;s quantity rules and are
+                ordered at the nearest valid quantity stock allows.{" "}
+                <s-button variant="tertiary" onClick={() => handleRoundQuantities()}>
+                  Round all quantities
+                </s-button>
+              </div>
+            )}
+
+            {previewRows.some(
+              (row) =>
+                row.exist && !row.blockedStatus && row.fulfilledQuantity < row.quantityRequested,
+            ) && (
+              <fieldset style={{ border: "none", padding: 0, margin: "16px 0 0", fontSize: "13px" }}>
+                <legend style={{ fontWeight: 600, marginBottom: "4px" }}>
+                  Quantities stock can&apos;t cover
+                </legend>
+                {BACKORDER_POLICIES.map((policy) => (
+                  <label key={policy.value} style={{ display: "block", padding: "2px 0" }}>
+                    <input
+                      type="radio"
+                      name="backorderPolicyChoice"
+                      value={policy.value}
+                      checked={backorderPolicy === policy.value}
+                      onChange={() => setBackorderPolicy(policy.value)}
+                    />{" "}
+                    {policy.label}
+                  </label>
+                ))}
+                <div style={{ color: "#6d7175", marginTop: "4px" }}>
+                  Quantities not ordered are recorded in the import history and can be
+                  re-imported later.
+                </div>
+              </fieldset>
+            )}
+
+            <fieldset style={{ border: "none", padding: 0, margin: "16px 0 0", fontSize: "13px" }}>
+              <legend style={{ fontWeight: 600, marginBottom: "4px" }}>Order discount</legend>
+              {ORDER_DISCOUNT_TYPES.filter(
+                (option) => option.value !== "rule" || discountRules?.length > 0,
+              ).map((option) => (
+                <label key={option.value} style={{ display: "inline-block", marginRight: "16px" }}>
+                  <input
+                    type="radio"
+                    name="discountTypeChoice"
+                    value={option.value}
+                    checked={discountType === option.value}
+                    onChange={() => setDiscountType(option.value)}
+                  />{" "}
+                  {option.label}
+                </label>
+              ))}
+              {(discountType === "percentage" || discountType === "fixed") && (
+                <label style={{ display: "block", marginTop: "6px" }}>
+                  {discountType === "percentage" ? "Percent off " : "Amount off "}
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={discountValue}
+                    onChange={(e) => setDiscountValue(e.target.value)}
+                    style={{ width: "100px" }}
+                  />
+                </label>
+              )}
+              {discountType === "code" && (
+                <label style={{ display: "block", marginTop: "6px" }}>
+                  Existing discount code{" "}
+                  <input
+                    type="text"
+                    value={discountCode}
+                    onChange={(e) => setDiscountCode(e.target.value)}
+                    style={{ width: "180px" }}
+                  />
+                </label>
+              )}
+              {discountType === "rule" && !orderDiscount && (
+                <div style={{ color: "#6d7175", marginTop: "4px" }}>
+                  This order doesn&apos;t reach any discount rule yet.
+                </div>
+              )}
+            </fieldset>
+
             <div style={{ marginTop: "20px" }}>
               <s-box style={{ marginTop: "20px", textAlign: "center" }}>
                 <s-stack direction="inline" gap="base" style={{ justifyContent: "center" }}>
                   <Form method="post">
                     <input type="hidden" name="intent" value="create" />
-                    <input type="hidden" name="customerName" value={actionData.customerName || ""} />
-                    <input type="hidden" name="customerId" value={actionData.customerId || ""} />
-                    <input type="hidden" name="previewJson" value={JSON.stringify(actionData.previewRows || [])} />
+                    <input type="hidden" name="previewId" value={actionData.previewId || ""} />
+                    <input
+                      type="hidden"
+                      name="previewChoices"
+                      value={JSON.stringify(previewChoices)}
+                    />
+                    <input type="hidden" name="backorderPolicy" value={backorderPolicy} />
+                    <input type="hidden" name="discountType" value={discountType} />
+                    <input type="hidden" name="discountValue" value={discountValue} />
+                    <input type="hidden" name="discountCode" value={discountCode} />
 
                     <s-button type="submit" variant="primary" {...(isSubmitting ? { loading: true } : {})}>
                       <span style={{ display: "inline-block", padding: "3px 5px", fontSize: "14px" }}>
-                        Confirm & create order
+                        {actionData.stockChanges?.length > 0
+                          ? "Confirm again & create order"
+                          : "Confirm & create order"}
                       </span>
                     </s-button>
                   </Form>
@@ -1103,6 +3054,55 @@ export default function ImportOrdersIndex() {
               </div>
             )}
 
+            {/* Catalog cache freshness */}
+            <div
+              style={{
+                display: "flex",
+                gap: "12px",
+                alignItems: "center",
+                justifyContent: "space-between",
+                marginBottom: "10px",
+                padding: "8px 10px",
+                border: "1px solid #e1e3e5",
+                borderRadius: "8px",
+                fontSize: "13px",
+                color: "#6d7175",
+              }}
+            >
+              <span>
+                {!catalogStatus || (!catalogStatus.completedAt && !catalogSyncing)
+                  ? "Catalog cache not synced yet. Previews look up every SKU in Shopify."
+                  : catalogSyncing
+                    ? `Catalog sync in progress (started ${formatDateTime(catalogStatus.startedAt)}).`
+                    : `Catalog cache: ${catalogStatus.variantCount} variants, synced ${formatDateTime(
+                        catalogStatus.completedAt,
+                      )}`}
+                {catalogStatus?.lastWebhookAt &&
+                  ` · last update ${formatDateTime(catalogStatus.lastWebhookAt)}`}
+                {catalogStatus?.status === "failed" &&
+                  ` · last sync failed: ${catalogStatus.error || "unknown error"}`}
+              </span>
+
+              <Form method="post">
+                <input type="hidden" name="intent" value="syncCatalog" />
+                <button
+                  type="submit"
+                  disabled={isSubmitting || catalogStatus?.status === "running"}
+                  style={{
+                    backgroundColor: "#ffffff",
+                    border: "1px solid #c9cccf",
+                    borderRadius: "8px",
+                    padding: "6px 10px",
+                    fontSize: "13px",
+                    cursor: "pointer",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Sync catalog
+                </button>
+              </Form>
+            </div>
+
             {/* ✅ Search + Pagination controls */}
             <div
               style={{
@@ -1193,6 +3193,8 @@ export default function ImportOrdersIndex() {
                         <th style={{ textAlign: "left" }}>Customer</th>
                         <th style={{ textAlign: "left" }}>Order (Draft)</th>
                         <th style={{ textAlign: "left" }}>Total Qty</th>
+                        <th style={{ textAlign: "left" }}>Discount</th>
+                        <th style={{ textAlign: "left" }}>Backorder</th>
                         <th style={{ textAlign: "left" }}>Created At</th>
                       </tr>
                     </thead>
@@ -1216,6 +3218,12 @@ export default function ImportOrdersIndex() {
                               ) : (
                                 item.customerName
                               )}
+                              {item.companyName && (
+                                <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                  {item.companyName}
+                                  {item.companyLocationName && ` – ${item.companyLocationName}`}
+                                </div>
+                              )}
                             </td>
                             <td style={{ textAlign: "left" }}>
                               {shopAdminSubdomain && item.orderLegacyId ? (
@@ -1230,13 +3238,61 @@ export default function ImportOrdersIndex() {
                               ) : (
                                 item.orderName || item.orderLegacyId || item.orderId
                               )}
+                              {item.isBackorder && (
+                                <span style={{ fontSize: "12px", color: "#6d7175" }}> (backorder)</span>
+                              )}
+                              {item.poNumber && (
+                                <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                  PO {item.poNumber}
+                                </div>
+                              )}
                             </td>
                             <td style={{ textAlign: "left" }}>{item.totalQuantity}</td>
                             <td style={{ textAlign: "left" }}>
-                              {new Date(item.createdAt).toLocaleString("en-AU", {
-                                dateStyle: "medium",
-                                timeStyle: "short",
-                              })}
+                              {item.orderDiscount ? (
+                                <>
+                                  {item.orderDiscount.code
+                                    ? `Code ${item.orderDiscount.code}`
+                                    : item.orderDiscount.title}
+                                  {item.orderDiscount.amount > 0 && (
+                                    <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                                      −{formatMoney(item.orderDiscount.amount, null)}
+                                    </div>
+                                  )}
+                                </>
+                              ) : (
+                                "—"
+                              )}
+                            </td>
+                            <td style={{ textAlign: "left" }}>
+                              {item.backorderQuantity > 0 ? (
+                                <Form method="post" style={{ display: "inline" }}>
+                                  <input type="hidden" name="intent" value="reimportBackorder" />
+                                  <input type="hidden" name="uploadId" value={item.id} />
+                                  <input type="hidden" name="locationIds" value={locationRanking.join(",")} />
+                                  {item.backorderQuantity}{" "}
+                                  <button
+                                    type="submit"
+                                    disabled={isSubmitting}
+                                    style={{
+                                      border: "none",
+                                      background: "none",
+                                      color: "#005bd3",
+                                      textDecoration: "underline",
+                                      cursor: "pointer",
+                                      padding: 0,
+                                      fontSize: "inherit",
+                                    }}
+                                  >
+                                    Re-import
+                                  </button>
+                                </Form>
+                              ) : (
+                                "—"
+                              )}
+                            </td>
+                            <td style={{ textAlign: "left" }}>
+                              {formatDateTime(item.createdAt)}
                             </td>
                           </tr>
                         );
@@ -0,0 +1,35 @@
+import { authenticate } from "../shopify.server";
+import { listCustomerAddresses, listCustomerCompanies } from "../models/companies.server";
+
+// Companies and locations a customer can order for, and the customer's saved
+// addresses, for the import form's company location and shipping pickers.
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const customerId = (url.searchParams.get("customerId") || "").trim();
+
+  if (!customerId) {
+    return new Response(JSON.stringify({ companies: [], addresses: [] }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  try {
+    const companies = await listCustomerCompanies(admin, customerId);
+    const addresses = await listCustomerAddresses(admin, customerId);
+
+    return new Response(JSON.stringify({ companies, addresses }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (err) {
+    console.error("Error loading customer companies", err);
+    return new Response(
+      JSON.stringify({ companies: [], addresses: [], error: "Server error" }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  }
+};
@@ -0,0 +1,252 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { useEffect, useRef } from "react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  deleteDiscountRule,
+  listDiscountRules,
+  saveDiscountRule,
+} from "../models/discountRules.server";
+import { DISCOUNT_RULE_BASES } from "../utils/orderDiscount";
+
+/**
+ * Loader: the shop's order discount rules
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop || "";
+
+  let rules = [];
+  try {
+    rules = await listDiscountRules(shopDomain);
+  } catch (err) {
+    console.error("Error loading order discount rules", err);
+  }
+
+  return { rules };
+};
+
+/**
+ * Action: "save" a new rule, "delete" one
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop || "";
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const name = String(formData.get("name") || "").trim();
+    const basis = formData.get("basis") === "value" ? "value" : "quantity";
+    const threshold = Number(formData.get("threshold"));
+    const valueType = formData.get("valueType") === "FIXED_AMOUNT" ? "FIXED_AMOUNT" : "PERCENTAGE";
+    const value = Number(formData.get("value"));
+
+    if (!name) {
+      return { error: "Give the rule a name; it's shown as the discount title on the draft." };
+    }
+    if (!(threshold > 0)) {
+      return { error: "The threshold must be a number greater than 0." };
+    }
+    if (!(value > 0) || (valueType === "PERCENTAGE" && value > 100)) {
+      return { error: "The discount must be greater than 0 (and at most 100%)." };
+    }
+
+    try {
+      await saveDiscountRule(shopDomain, { name, basis, threshold, valueType, value });
+    } catch (err) {
+      console.error("Error saving order discount rule", err);
+      return { error: "Could not save the rule. Please try again." };
+    }
+
+    return { message: `Saved rule "${name}".` };
+  }
+
+  if (intent === "delete") {
+    try {
+      await deleteDiscountRule(shopDomain, Number(formData.get("id")));
+    } catch (err) {
+      console.error("Error deleting order discount rule", err);
+      return { error: "Could not delete the rule. Please try again." };
+    }
+
+    return { message: "Rule deleted." };
+  }
+
+  return { error: "Unknown action." };
+};
+
+const inputStyle = {
+  padding: "0.4rem 0.6rem",
+  borderRadius: "8px",
+  border: "1px solid #8c9196",
+  fontSize: "14px",
+  boxSizing: "border-box",
+};
+
+const describeRule = (rule) => {
+  const when =
+    rule.basis === "quantity"
+      ? `${rule.threshold}+ units`
+      : `Orders of ${rule.threshold.toFixed(2)} or more`;
+  const discount =
+    rule.valueType === "PERCENTAGE" ? `${rule.value}% off` : `${rule.value.toFixed(2)} off`;
+  return `${when}: ${discount}`;
+};
+
+export default function DiscountRules() {
+  const { rules } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const addFormRef = useRef(null);
+
+  useEffect(() => {
+    if (actionData?.message) addFormRef.current?.reset();
+  }, [actionData]);
+
+  return (
+    <s-page heading="Order discount rules">
+      <s-section heading="Tiered discounts">
+        <s-paragraph>
+          Rules apply an order-level discount to bulk drafts automatically once the order&apos;s
+          total quantity or value reaches their threshold. When several rules apply, the one that
+          takes the most off wins. Staff can still choose a different discount in the preview.
+        </s-paragraph>
+
+        {actionData?.error && (
+          <div
+            style={{
+              color: "#721c24",
+              backgroundColor: "#f8d7da",
+              border: "1px solid #f5c6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.error}
+          </div>
+        )}
+        {actionData?.message && (
+          <div
+            style={{
+              color: "#0c5132",
+              backgroundColor: "#d4edda",
+              border: "1px solid #c3e6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.message}
+          </div>
+        )}
+
+        <Form
+          method="post"
+          ref={addFormRef}
+          style={{ display: "flex", gap: "8px", alignItems: "flex-end", flexWrap: "wrap" }}
+        >
+          <input type="hidden" name="intent" value="save" />
+          <div>
+            <label htmlFor="ruleName" style={{ display: "block", fontSize: "13px" }}>
+              Name
+            </label>
+            <input id="ruleName" name="name" type="text" placeholder="Bulk 10%" style={inputStyle} />
+          </div>
+          <div>
+            <label htmlFor="ruleBasis" style={{ display: "block", fontSize: "13px" }}>
+              When
+            </label>
+            <select id="ruleBasis" name="basis" style={inputStyle}>
+              {DISCOUNT_RULE_BASES.map((basis) => (
+                <option key={basis.value} value={basis.value}>
+                  {basis.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="ruleThreshold" style={{ display: "block", fontSize: "13px" }}>
+              Reaches
+            </label>
+            <input
+              id="ruleThreshold"
+              name="threshold"
+              type="number"
+              min="0"
+              step="any"
+              style={{ ...inputStyle, width: "120px" }}
+            />
+          </div>
+          <div>
+            <label htmlFor="ruleValue" style={{ display: "block", fontSize: "13px" }}>
+              Discount
+            </label>
+            <input
+              id="ruleValue"
+              name="value"
+              type="number"
+              min="0"
+              step="any"
+              style={{ ...inputStyle, width: "100px" }}
+            />
+          </div>
+          <div>
+            <label htmlFor="ruleValueType" style={{ display: "block", fontSize: "13px" }}>
+              Type
+            </label>
+            <select id="ruleValueType" name="valueType" style={inputStyle}>
+              <option value="PERCENTAGE">% off</option>
+              <option value="FIXED_AMOUNT">Amount off</option>
+            </select>
+          </div>
+          <s-button type="submit" {...(isSubmitting ? { loading: true } : {})}>
+            Add rule
+          </s-button>
+        </Form>
+
+        <div style={{ marginTop: "16px" }}>
+          {rules.length === 0 ? (
+            <s-paragraph>No discount rules yet.</s-paragraph>
+          ) : (
+            <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+              <table width="100%" cellPadding={6} style={{ borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: "left" }}>Name</th>
+                    <th style={{ textAlign: "left" }}>Rule</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((rule, idx) => (
+                    <tr key={rule.id} style={{ backgroundColor: idx % 2 === 0 ? "#ffffff" : "#f7f7f7" }}>
+                      <td style={{ textAlign: "left" }}>{rule.name}</td>
+                      <td style={{ textAlign: "left" }}>{describeRule(rule)}</td>
+                      <td style={{ textAlign: "right" }}>
+                        <Form method="post">
+                          <input type="hidden" name="intent" value="delete" />
+                          <input type="hidden" name="id" value={rule.id} />
+                          <s-button type="submit" variant="tertiary" tone="critical">
+                            Delete
+                          </s-button>
+                        </Form>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </s-box>
+          )}
+        </div>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -16,8 +16,10 @@ export default function App() {
   return (
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
-        {/* <s-link href="/app">Home</s-link>
-        <s-link href="/app/additional">Additional page</s-link> */}
+        <s-link href="/app">Import orders</s-link>
+        <s-link href="/app/part-numbers">Customer part numbers</s-link>
+        <s-link href="/app/discount-rules">Order discount rules</s-link>
+        <s-link href="/app/settings">Settings</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,415 @@
+import { Buffer } from "node:buffer";
+import {
+  Form,
+  Link,
+  useActionData,
+  useFetcher,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+} from "react-router";
+import { useEffect, useRef, useState } from "react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  deletePartNumber,
+  importPartNumbers,
+  listPartNumberCustomers,
+  listPartNumbers,
+  parsePartNumberSheet,
+  savePartNumber,
+} from "../models/partNumbers.server";
+import { readSheet, readWorkbook } from "../utils/importFile.server";
+
+/**
+ * Loader: customers with a part number cross-reference, plus the selected
+ * customer's entries (?customerId=...&customerName=...)
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop || "";
+
+  const url = new URL(request.url);
+  const customerId = url.searchParams.get("customerId") || "";
+
+  let customers = [];
+  let entries = [];
+  try {
+    customers = await listPartNumberCustomers(shopDomain);
+    entries = await listPartNumbers(shopDomain, customerId);
+  } catch (err) {
+    console.error("Error loading customer part numbers", err);
+  }
+
+  const customerName =
+    url.searchParams.get("customerName") ||
+    customers.find((c) => c.customerId === customerId)?.customerName ||
+    "";
+
+  return { customers, customerId, customerName, entries };
+};
+
+/**
+ * Action: "save" one entry, "delete" one entry, "import" a CSV/Excel file
+ */
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop || "";
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const customerId = String(formData.get("customerId") || "").trim();
+  const customerName = String(formData.get("customerName") || "").trim();
+
+  if (!customerId) {
+    return { error: "Select a customer first." };
+  }
+
+  if (intent === "save") {
+    const customerCode = String(formData.get("customerCode") || "").trim();
+    const sku = String(formData.get("sku") || "").trim();
+
+    if (!customerCode || !sku) {
+      return { error: "Enter both the customer code and our SKU." };
+    }
+
+    try {
+      await savePartNumber(shopDomain, { customerId, customerName, customerCode, sku });
+    } catch (err) {
+      console.error("Error saving customer part number", err);
+      return { error: "Could not save the part number. Please try again." };
+    }
+
+    return { message: `Saved ${customerCode} → ${sku}.` };
+  }
+
+  if (intent === "delete") {
+    const id = Number(formData.get("id"));
+
+    try {
+      await deletePartNumber(shopDomain, id);
+    } catch (err) {
+      console.error("Error deleting customer part number", err);
+      return { error: "Could not delete the part number. Please try again." };
+    }
+
+    return { message: "Part number deleted." };
+  }
+
+  if (intent === "import") {
+    const file = formData.get("file");
+    if (!file || typeof file === "string" || file.size === 0) {
+      return { error: "Choose a CSV/Excel file to import." };
+    }
+
+    let sheet;
+    try {
+      const workbook = readWorkbook(Buffer.from(await file.arrayBuffer()));
+      sheet = readSheet(workbook, workbook.SheetNames[0]);
+    } catch (err) {
+      console.error("Error reading part number file", err);
+      return { error: "Could not read file. Please upload a valid CSV/Excel file." };
+    }
+
+    const { entries, skipped } = parsePartNumberSheet(sheet);
+    if (entries.length === 0) {
+      return {
+        error: "No part numbers found. The file needs a customer code and a SKU column.",
+      };
+    }
+
+    try {
+      await importPartNumbers(shopDomain, {
+        customerId,
+        customerName,
+        entries,
+        replace: formData.get("replace") === "1",
+      });
+    } catch (err) {
+      console.error("Error importing customer part numbers", err);
+      return { error: "Could not import the part numbers. Please try again." };
+    }
+
+    console.log("PART NUMBERS: imported", entries.length, "skipped", skipped, "for", customerId);
+
+    return {
+      message:
+        `Imported ${entries.length} part number${entries.length === 1 ? "" : "s"}.` +
+        (skipped ? ` ${skipped} row${skipped === 1 ? " was" : "s were"} skipped (missing code or SKU).` : ""),
+    };
+  }
+
+  return { error: "Unknown action." };
+};
+
+async function exportPartNumbers(entries, customerName) {
+  // Loaded on demand, as for the rejected rows report.
+  const XLSX = await import("xlsx");
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ["Customer code", "SKU"],
+      ...entries.map((entry) => [entry.customerCode, entry.sku]),
+    ]),
+    "Part numbers",
+  );
+
+  const safeName = (customerName || "customer").replace(/[^\w-]+/g, "-");
+  XLSX.writeFile(workbook, `part-numbers-${safeName}.csv`, { bookType: "csv" });
+}
+
+const inputStyle = {
+  padding: "0.4rem 0.6rem",
+  borderRadius: "8px",
+  border: "1px solid #8c9196",
+  fontSize: "14px",
+  boxSizing: "border-box",
+};
+
+export default function CustomerPartNumbers() {
+  const { customers, customerId, customerName, entries } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+  const customerSearch = useFetcher();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [entrySearch, setEntrySearch] = useState("");
+  const addFormRef = useRef(null);
+
+  useEffect(() => {
+    if (actionData?.message) addFormRef.current?.reset();
+  }, [actionData]);
+
+  const handleCustomerQuery = (event) => {
+    const value = event.target.value;
+    setCustomerQuery(value);
+    if (value.trim().length >= 2) {
+      customerSearch.load(`/app/customers?q=${encodeURIComponent(value.trim())}`);
+    }
+  };
+
+  const selectCustomer = (id, name) => {
+    setCustomerQuery("");
+    navigate(
+      `/app/part-numbers?customerId=${encodeURIComponent(id)}&customerName=${encodeURIComponent(name)}`,
+    );
+  };
+
+  const searchResults = customerQuery.trim().length >= 2 ? customerSearch.data?.customers || [] : [];
+
+  const normalizedEntrySearch = entrySearch.trim().toLowerCase();
+  const visibleEntries = normalizedEntrySearch
+    ? entries.filter(
+        (entry) =>
+          entry.customerCode.toLowerCase().includes(normalizedEntrySearch) ||
+          entry.sku.toLowerCase().includes(normalizedEntrySearch),
+      )
+    : entries;
+
+  return (
+    <s-page heading="Customer part numbers">
+      <s-section heading="Customer">
+        <s-paragraph>
+          Map a customer&apos;s own item codes to our SKUs. When that customer is selected on
+          an import, their codes are translated before products are looked up.
+        </s-paragraph>
+
+        {actionData?.error && (
+          <div
+            style={{
+              color: "#721c24",
+              backgroundColor: "#f8d7da",
+              border: "1px solid #f5c6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.error}
+          </div>
+        )}
+        {actionData?.message && (
+          <div
+            style={{
+              color: "#0c5132",
+              backgroundColor: "#d4edda",
+              border: "1px solid #c3e6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.message}
+          </div>
+        )}
+
+        <label htmlFor="partNumberCustomer" style={{ display: "block", fontWeight: 500, marginBottom: "4px" }}>
+          Find a customer
+        </label>
+        <input
+          id="partNumberCustomer"
+          type="text"
+          value={customerQuery}
+          placeholder="Start typing customer name or email..."
+          autoComplete="off"
+          onChange={handleCustomerQuery}
+          style={{ ...inputStyle, width: "50%" }}
+        />
+        {searchResults.length > 0 && (
+          <div style={{ marginTop: "4px", width: "50%", border: "1px solid #c9cccf", borderRadius: "8px" }}>
+            {searchResults.map((customer) => (
+              <button
+                key={customer.id}
+                type="button"
+                onClick={() => selectCustomer(customer.id, customer.displayName)}
+                style={{
+                  display: "block",
+                  width: "100%",
+                  textAlign: "left",
+                  padding: "6px 10px",
+                  border: "none",
+                  borderBottom: "1px solid #f0f1f2",
+                  background: "#ffffff",
+                  cursor: "pointer",
+                }}
+              >
+                <div style={{ fontSize: "14px", fontWeight: 500 }}>{customer.displayName}</div>
+                {customer.email && (
+                  <div style={{ fontSize: "12px", color: "#6d7175" }}>{customer.email}</div>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {customers.length > 0 && (
+          <div style={{ marginTop: "12px", fontSize: "13px" }}>
+            Customers with part numbers:{" "}
+            {customers.map((customer, idx) => (
+              <span key={customer.customerId}>
+                {idx > 0 && ", "}
+                <Link
+                  to={`/app/part-numbers?customerId=${encodeURIComponent(customer.customerId)}`}
+                  style={{ fontWeight: customer.customerId === customerId ? 600 : 400 }}
+                >
+                  {customer.customerName}
+                </Link>{" "}
+                ({customer.count})
+              </span>
+            ))}
+          </div>
+        )}
+      </s-section>
+
+      {customerId && (
+        <s-section heading={`Part numbers for ${customerName || "customer"}`}>
+          <Form method="post" ref={addFormRef} style={{ display: "flex", gap: "8px", alignItems: "flex-end", flexWrap: "wrap" }}>
+            <input type="hidden" name="intent" value="save" />
+            <input type="hidden" name="customerId" value={customerId} />
+            <input type="hidden" name="customerName" value={customerName} />
+            <div>
+              <label htmlFor="customerCode" style={{ display: "block", fontSize: "13px" }}>
+                Customer code
+              </label>
+              <input id="customerCode" name="customerCode" type="text" style={inputStyle} />
+            </div>
+            <div>
+              <label htmlFor="partNumberSku" style={{ display: "block", fontSize: "13px" }}>
+                Our SKU
+              </label>
+              <input id="partNumberSku" name="sku" type="text" style={inputStyle} />
+            </div>
+            <s-button type="submit" {...(isSubmitting ? { loading: true } : {})}>
+              Add / update
+            </s-button>
+          </Form>
+
+          <Form
+            method="post"
+            encType="multipart/form-data"
+            style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap", marginTop: "16px" }}
+          >
+            <input type="hidden" name="intent" value="import" />
+            <input type="hidden" name="customerId" value={customerId} />
+            <input type="hidden" name="customerName" value={customerName} />
+            <label htmlFor="partNumberFile" style={{ fontSize: "13px" }}>
+              Import CSV/Excel (Customer code, SKU)
+            </label>
+            <input id="partNumberFile" type="file" name="file" accept=".csv,.xlsx,.xls" />
+            <label style={{ fontSize: "13px" }}>
+              <input type="checkbox" name="replace" value="1" /> Replace all existing codes
+            </label>
+            <s-button type="submit" {...(isSubmitting ? { loading: true } : {})}>
+              Import
+            </s-button>
+            <s-button
+              type="button"
+              variant="tertiary"
+              disabled={entries.length === 0}
+              onClick={() => exportPartNumbers(entries, customerName)}
+            >
+              Export CSV
+            </s-button>
+          </Form>
+
+          <div style={{ marginTop: "16px" }}>
+            <input
+              type="text"
+              aria-label="Search part numbers"
+              placeholder="Search code or SKU..."
+              value={entrySearch}
+              onChange={(e) => setEntrySearch(e.target.value)}
+              style={{ ...inputStyle, width: "260px", marginBottom: "8px" }}
+            />
+
+            {entries.length === 0 ? (
+              <s-paragraph>No part numbers yet for this customer.</s-paragraph>
+            ) : (
+              <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+                <table width="100%" cellPadding={6} style={{ borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: "left" }}>Customer code</th>
+                      <th style={{ textAlign: "left" }}>Our SKU</th>
+                      <th style={{ textAlign: "left" }}>Updated</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleEntries.map((entry, idx) => (
+                      <tr key={entry.id} style={{ backgroundColor: idx % 2 === 0 ? "#ffffff" : "#f7f7f7" }}>
+                        <td style={{ textAlign: "left" }}>{entry.customerCode}</td>
+                        <td style={{ textAlign: "left" }}>{entry.sku}</td>
+                        <td style={{ textAlign: "left" }}>
+                          {new Date(entry.updatedAt).toLocaleDateString()}
+                        </td>
+                        <td style={{ textAlign: "right" }}>
+                          <Form method="post">
+                            <input type="hidden" name="intent" value="delete" />
+                            <input type="hidden" name="customerId" value={customerId} />
+                            <input type="hidden" name="id" value={entry.id} />
+                            <s-button type="submit" variant="tertiary" tone="critical">
+                              Delete
+                            </s-button>
+                          </Form>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </s-box>
+            )}
+          </div>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
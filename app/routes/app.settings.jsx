@@ -0,0 +1,257 @@
+import { Form, useActionData, useFetcher, useLoaderData, useNavigation } from "react-router";
+import { useRef } from "react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, saveShopSettings } from "../models/shopSettings.server";
+import { availableOrderBackends, testExternalService } from "../models/orderBackend.server";
+import {
+  SIGNATURE_HEADER,
+  SIGNATURE_TIMESTAMP_HEADER,
+} from "../utils/requestSigning.server";
+
+/**
+ * Loader: the shop's settings and the order backends it can choose from. The
+ * shared secret itself never leaves the server.
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session?.shop || "");
+
+  return {
+    orderBackend: settings.orderBackend,
+    externalBaseUrl: settings.externalBaseUrl || "",
+    hasSharedSecret: Boolean(settings.sharedSecret),
+    orderBackends: availableOrderBackends(),
+    signatureHeader: SIGNATURE_HEADER,
+    timestampHeader: SIGNATURE_TIMESTAMP_HEADER,
+  };
+};
+
+/**
+ * Helper: the external service base URL as entered, or null when it isn't
+ * an http(s) URL.
+ */
+function parseBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:" ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Action: "save" the shop's settings, or "test" the external service
+ * connection with the URL and secret in the form (the saved secret when the
+ * field is left blank)
+ */
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shopDomain = session?.shop || "";
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const orderBackend = String(formData.get("orderBackend") || "");
+  const baseUrlInput = String(formData.get("externalBaseUrl") || "").trim();
+  const secretInput = String(formData.get("sharedSecret") || "").trim();
+
+  const externalBaseUrl = baseUrlInput ? parseBaseUrl(baseUrlInput) : null;
+  if (baseUrlInput && !externalBaseUrl) {
+    return { error: "The service URL must be a full http(s) URL, e.g. https://shop.example.com." };
+  }
+
+  const saved = await getShopSettings(shopDomain);
+  const sharedSecret = secretInput || saved.sharedSecret;
+
+  if (intent === "test") {
+    if (!externalBaseUrl || !sharedSecret) {
+      return { error: "Enter the service URL and shared secret to test the connection." };
+    }
+
+    const result = await testExternalService(admin, { externalBaseUrl, sharedSecret });
+    return result.ok ? { message: result.message } : { error: result.message };
+  }
+
+  if (!availableOrderBackends().some((backend) => backend.value === orderBackend)) {
+    return { error: "Choose one of the listed order backends." };
+  }
+  if (orderBackend === "external" && (!externalBaseUrl || !sharedSecret)) {
+    return { error: "The external order service needs its URL and a shared secret." };
+  }
+
+  try {
+    await saveShopSettings(shopDomain, {
+      orderBackend,
+      externalBaseUrl,
+      sharedSecret: secretInput || null,
+    });
+  } catch (err) {
+    console.error("Error saving shop settings", err);
+    return { error: "Could not save the settings. Please try again." };
+  }
+
+  return { message: "Settings saved." };
+};
+
+const BACKEND_DESCRIPTIONS = {
+  shopify: "Drafts are created with the Admin API and customers are listed from this shop.",
+  external:
+    "Drafts are created and customers listed by the external order service (OpenCart).",
+  stub: "Customers are listed from this shop, but no drafts are created; payloads are logged.",
+};
+
+const inputStyle = {
+  padding: "0.4rem 0.6rem",
+  borderRadius: "8px",
+  border: "1px solid #8c9196",
+  fontSize: "14px",
+  boxSizing: "border-box",
+  width: "100%",
+  maxWidth: "420px",
+};
+
+export default function Settings() {
+  const {
+    orderBackend,
+    externalBaseUrl,
+    hasSharedSecret,
+    orderBackends,
+    signatureHeader,
+    timestampHeader,
+  } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const connectionTest = useFetcher();
+  const formRef = useRef(null);
+
+  // Test with what's in the form, before (or without) saving it.
+  const handleTestConnection = () => {
+    const formData = new FormData(formRef.current);
+    formData.set("intent", "test");
+    connectionTest.submit(formData, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Settings">
+      <s-section heading="Order backend">
+        <s-paragraph>
+          Where bulk draft orders are created and the customer list on the import page comes
+          from.
+        </s-paragraph>
+
+        {actionData?.error && (
+          <div
+            style={{
+              color: "#721c24",
+              backgroundColor: "#f8d7da",
+              border: "1px solid #f5c6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.error}
+          </div>
+        )}
+        {actionData?.message && (
+          <div
+            style={{
+              color: "#0c5132",
+              backgroundColor: "#d4edda",
+              border: "1px solid #c3e6cb",
+              padding: "10px",
+              marginBottom: "10px",
+              borderRadius: "6px",
+            }}
+          >
+            {actionData.message}
+          </div>
+        )}
+
+        <Form method="post" ref={formRef}>
+          <input type="hidden" name="intent" value="save" />
+          <fieldset style={{ border: "none", padding: 0, margin: "0 0 12px" }}>
+            <legend style={{ fontSize: "13px", marginBottom: "6px" }}>Backend</legend>
+            {orderBackends.map((backend) => (
+              <label key={backend.value} style={{ display: "block", marginBottom: "8px" }}>
+                <input
+                  type="radio"
+                  name="orderBackend"
+                  value={backend.value}
+                  defaultChecked={backend.value === orderBackend}
+                />{" "}
+                <strong>{backend.label}</strong>
+                <div style={{ fontSize: "13px", color: "#616161", marginLeft: "22px" }}>
+                  {BACKEND_DESCRIPTIONS[backend.value]}
+                </div>
+              </label>
+            ))}
+          </fieldset>
+
+          <s-heading>External order service</s-heading>
+          <s-paragraph>
+            Requests to the service are signed: each carries an {timestampHeader} header (Unix
+            seconds) and an {signatureHeader} header, &quot;sha256=&quot; plus the hex HMAC-SHA256
+            of &quot;timestamp.body&quot; keyed with the shared secret. Draft requests also carry
+            an Idempotency-Key header (and idempotencyKey field) that stays the same when a
+            draft is retried.
+          </s-paragraph>
+          <div style={{ margin: "8px 0" }}>
+            <label htmlFor="externalBaseUrl" style={{ display: "block", fontSize: "13px" }}>
+              Service URL
+            </label>
+            <input
+              id="externalBaseUrl"
+              name="externalBaseUrl"
+              type="url"
+              placeholder="https://shop.example.com"
+              defaultValue={externalBaseUrl}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ margin: "8px 0 12px" }}>
+            <label htmlFor="sharedSecret" style={{ display: "block", fontSize: "13px" }}>
+              Shared secret
+            </label>
+            <input
+              id="sharedSecret"
+              name="sharedSecret"
+              type="password"
+              autoComplete="new-password"
+              placeholder={hasSharedSecret ? "Saved – leave blank to keep it" : ""}
+              style={inputStyle}
+            />
+          </div>
+
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <s-button type="submit" {...(isSubmitting ? { loading: true } : {})}>
+              Save
+            </s-button>
+            <s-button
+              variant="secondary"
+              onClick={handleTestConnection}
+              {...(connectionTest.state !== "idle" ? { loading: true } : {})}
+            >
+              Test connection
+            </s-button>
+            {connectionTest.state === "idle" && connectionTest.data && (
+              <span
+                style={{
+                  fontSize: "13px",
+                  color: connectionTest.data.error ? "#8e1f0b" : "#0c5132",
+                }}
+              >
+                {connectionTest.data.error || connectionTest.data.message}
+              </span>
+            )}
+          </div>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { completeCatalogSync } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`, payload?.status);
+
+  // Webhook requests can arrive after the app was uninstalled, with no session left.
+  if (admin && payload?.admin_graphql_api_id) {
+    try {
+      await completeCatalogSync(admin, shop, payload.admin_graphql_api_id);
+    } catch (err) {
+      console.error("Failed to complete catalog sync", err);
+    }
+  }
+
+  return new Response();
+};
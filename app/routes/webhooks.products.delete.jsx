@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { applyProductDelete } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  try {
+    await applyProductDelete(shop, payload);
+  } catch (err) {
+    console.error("Failed to apply product delete to catalog cache", err);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { applyProductUpdate } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  try {
+    await applyProductUpdate(shop, payload);
+  } catch (err) {
+    console.error("Failed to apply product update to catalog cache", err);
+  }
+
+  return new Response();
+};
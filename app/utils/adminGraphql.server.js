@@ -0,0 +1,136 @@
+/**
+ * Helpers for running many Admin GraphQL requests without tripping Shopify's
+ * cost-based rate limiting (leaky bucket, see
+ * https://shopify.dev/docs/api/usage/rate-limits#graphql-admin-api-rate-limits).
+ */
+
+const DEFAULT_THROTTLE_STATUS = {
+  maximumAvailable: 1000,
+  currentlyAvailable: 1000,
+  restoreRate: 50,
+};
+
+const MAX_THROTTLE_RETRIES = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Helper: true when an error thrown by admin.graphql is a throttling error,
+ * either a GraphQL "THROTTLED" error or an HTTP 429.
+ */
+function isThrottledError(err) {
+  const graphQLErrors = err?.body?.errors?.graphQLErrors || [];
+  if (graphQLErrors.some((e) => e?.extensions?.code === "THROTTLED")) {
+    return true;
+  }
+  return err?.response?.code === 429;
+}
+
+/**
+ * Helper: quote a value for Shopify's search syntax (e.g. `sku:"A\"B"`), so
+ * quotes, spaces and colons inside it are matched literally.
+ */
+export function quoteSearchValue(value) {
+  const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `"${escaped}"`;
+}
+
+/**
+ * Helper: run `worker` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Wraps admin.graphql with a client-side view of the shop's throttle bucket.
+ *
+ * Each request declares an estimated cost; the scheduler waits until the
+ * bucket (as last reported in `extensions.cost.throttleStatus`, plus what has
+ * restored since, minus what in-flight requests have reserved) can cover it.
+ * Throttled requests are retried after waiting for the bucket to refill.
+ */
+export function createGraphqlScheduler(admin) {
+  const bucket = { ...DEFAULT_THROTTLE_STATUS, updatedAt: Date.now() };
+  let reserved = 0;
+
+  const available = () => {
+    const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+    const restored = bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate;
+    return Math.min(bucket.maximumAvailable, restored) - reserved;
+  };
+
+  const updateBucket = (extensions) => {
+    const status = extensions?.cost?.throttleStatus;
+    if (!status) return;
+
+    bucket.maximumAvailable = status.maximumAvailable;
+    bucket.currentlyAvailable = status.currentlyAvailable;
+    bucket.restoreRate = status.restoreRate;
+    bucket.updatedAt = Date.now();
+  };
+
+  const waitForBudget = async (cost) => {
+    // A query can never cost more than the bucket holds.
+    const needed = Math.min(cost, bucket.maximumAvailable);
+
+    while (available() < needed) {
+      const missing = needed - available();
+      await sleep(Math.ceil((missing / bucket.restoreRate) * 1000));
+    }
+  };
+
+  /**
+   * Run one query. Resolves with the parsed JSON body ({ data, extensions }).
+   */
+  async function request(query, { variables, cost = 1 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget(cost);
+      reserved += cost;
+
+      try {
+        const response = await admin.graphql(query, { variables });
+        const json = await response.json();
+        updateBucket(json?.extensions);
+        return json;
+      } catch (err) {
+        updateBucket(err?.body?.extensions);
+
+        if (!isThrottledError(err) || attempt >= MAX_THROTTLE_RETRIES) {
+          throw err;
+        }
+
+        console.warn("Admin GraphQL request throttled, retrying", {
+          attempt: attempt + 1,
+          cost,
+          currentlyAvailable: bucket.currentlyAvailable,
+        });
+
+        const retryAfter = err?.response?.retryAfter;
+        if (retryAfter) {
+          await sleep(retryAfter * 1000);
+        } else {
+          // Our view of the bucket was too optimistic: assume it is empty.
+          bucket.currentlyAvailable = 0;
+          bucket.updatedAt = Date.now();
+        }
+      } finally {
+        reserved -= cost;
+      }
+    }
+  }
+
+  return { request };
+}
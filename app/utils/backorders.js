@@ -0,0 +1,73 @@
+/**
+ * What happens to the part of a row that stock can't cover (its shortfall)
+ * when the draft order is created. Shared by the preview (policy picker) and
+ * the create intent.
+ */
+
+export const BACKORDER_POLICIES = [
+  { value: "drop", label: "Drop the shortfall" },
+  { value: "separate", label: "Put the shortfall on a separate backorder draft" },
+  {
+    value: "oversell",
+    label: "Order the full quantity where the product can be sold out of stock",
+  },
+];
+
+export const normalizeBackorderPolicy = (value) =>
+  BACKORDER_POLICIES.some((policy) => policy.value === value) ? value : "drop";
+
+/**
+ * How much of a preview row goes on the order under `policy`: what stock
+ * covers, or the full quantity when overselling a product that allows it.
+ * Blocked and unresolved rows order nothing.
+ */
+export function orderQuantityFor(row, policy) {
+  // Draft/archived products and variants outside the customer's catalog
+  // can't be ordered or backordered.
+  if (!row.exist || !row.variantId || row.blockedStatus) return 0;
+
+  const oversell = policy === "oversell" && row.inventoryPolicy === "CONTINUE";
+  return Number((oversell ? row.quantityRequested : row.fulfilledQuantity) || 0);
+}
+
+/**
+ * Split resolved preview rows into what goes on the order and the shortfall.
+ *
+ * Returns { orderRows, backorderLines }: orderRows are the rows with the
+ * quantity to order as `orderQuantity`; backorderLines are
+ * { variantId, sku, productName, sheetName, quantity, substitutedFor,
+ * priceOverride, discount, lineAttributes, currencyCode } per row not covered
+ * by stock or oversold. With "separate" the backorder lines become their own
+ * draft; with "drop" (and for products that can't be oversold) they're only
+ * recorded.
+ */
+export function splitBackorders(rows, policy) {
+  const orderRows = [];
+  const backorderLines = [];
+
+  for (const row of rows) {
+    if (!row.exist || !row.variantId || row.blockedStatus) continue;
+
+    const requested = Number(row.quantityRequested || 0);
+    const orderQuantity = orderQuantityFor(row, policy);
+    if (orderQuantity > 0) orderRows.push({ ...row, orderQuantity });
+
+    const shortfall = requested - orderQuantity;
+    if (shortfall > 0) {
+      backorderLines.push({
+        variantId: row.variantId,
+        sku: (row.substitutedFrom ? row.substituteSku : row.sku) || "",
+        productName: row.productName || "",
+        sheetName: row.sheetName,
+        quantity: shortfall,
+        substitutedFor: row.substitutedFrom?.sku,
+        priceOverride: row.priceOverride ?? null,
+        discount: row.discount || null,
+        lineAttributes: row.lineAttributes || [],
+        currencyCode: row.pricing?.currencyCode || null,
+      });
+    }
+  }
+
+  return { orderRows, backorderLines };
+}
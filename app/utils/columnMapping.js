@@ -0,0 +1,180 @@
+/**
+ * Column mapping between an uploaded file's headers and the fields the import
+ * understands. Shared by the server (parsing) and the mapping step UI.
+ *
+ * A mapping is a plain object of field key -> normalised header, e.g.
+ * { sku: "item code", quantity: "order qty" }, or a list of headers for
+ * `multiple` fields. Unmapped optional fields are left out.
+ */
+
+export const IMPORT_FIELDS = [
+  {
+    // Usually a SKU, but may hold barcodes or variant IDs (see identifierType).
+    key: "sku",
+    label: "SKU / identifier",
+    required: true,
+    // A handle column (with option columns) can identify variants instead.
+    unlessMapped: "handle",
+    aliases: [
+      "sku", "item code", "item", "part #", "part no", "part number", "product code", "code", "item number",
+      "barcode", "upc", "gtin", "ean", "variant id", "identifier",
+    ],
+  },
+  {
+    key: "quantity",
+    label: "Quantity",
+    required: true,
+    aliases: ["quantity", "qty", "order qty", "order quantity", "units", "qty ordered"],
+  },
+  {
+    key: "description",
+    label: "Description",
+    required: false,
+    aliases: ["description", "product name", "product", "item description", "name"],
+  },
+  {
+    key: "identifierType",
+    label: "Identifier type",
+    required: false,
+    aliases: ["identifier type", "id type", "identifier kind"],
+  },
+  {
+    key: "handle",
+    label: "Product handle",
+    required: false,
+    aliases: ["handle", "product handle"],
+  },
+  {
+    key: "option1",
+    label: "Option 1",
+    required: false,
+    aliases: ["option1", "option 1", "option1 value", "option 1 value"],
+  },
+  {
+    key: "option2",
+    label: "Option 2",
+    required: false,
+    aliases: ["option2", "option 2", "option2 value", "option 2 value"],
+  },
+  {
+    key: "option3",
+    label: "Option 3",
+    required: false,
+    aliases: ["option3", "option 3", "option3 value", "option 3 value"],
+  },
+  {
+    // Overrides the catalog / price list price for the line.
+    key: "unitPrice",
+    label: "Unit price",
+    required: false,
+    aliases: ["unit price", "net price", "agreed price", "negotiated price", "your price"],
+  },
+  {
+    // "10%" off, or an amount off each unit.
+    key: "discount",
+    label: "Line discount",
+    required: false,
+    aliases: ["discount", "line discount", "discount %", "disc", "disc %"],
+  },
+  {
+    key: "lineNote",
+    label: "Line note",
+    required: false,
+    aliases: ["line note", "note", "notes", "comment", "comments", "remarks"],
+  },
+  {
+    // Any number of columns, each sent as a line item custom attribute named
+    // after its header.
+    key: "attributes",
+    label: "Line attributes",
+    required: false,
+    multiple: true,
+    aliases: ["store number", "store no", "store", "project code", "project", "reference", "cost center"],
+  },
+];
+
+/**
+ * Helper: compare headers case- and whitespace-insensitively.
+ */
+export const normalizeHeader = (header) =>
+  String(header ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Helper: order-independent key for a set of headers, used to recognise a
+ * file layout that has been mapped before.
+ */
+export function headerSignature(headers) {
+  return [...new Set(headers.map(normalizeHeader).filter(Boolean))].sort().join("|");
+}
+
+/**
+ * Guess a mapping from header names using each field's aliases.
+ */
+export function suggestMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  for (const field of IMPORT_FIELDS) {
+    if (field.multiple) {
+      const matches = field.aliases.filter((alias) => normalized.includes(alias));
+      if (matches.length) mapping[field.key] = matches;
+      continue;
+    }
+
+    const match = field.aliases.find((alias) => normalized.includes(alias));
+    if (match) mapping[field.key] = match;
+  }
+
+  return mapping;
+}
+
+/**
+ * True when the file uses the original fixed layout ("sku" plus "quantity" or
+ * "qty"), which needs no mapping step.
+ */
+export function isStandardLayout(headers) {
+  const normalized = headers.map(normalizeHeader);
+  return (
+    normalized.includes("sku") &&
+    (normalized.includes("quantity") || normalized.includes("qty"))
+  );
+}
+
+/**
+ * Turn a mapping into column indexes for `headers`.
+ * Returns { indexes, missing } where `missing` lists required fields that are
+ * unmapped or whose header isn't in the file (a field with `unlessMapped` is
+ * only required when that other field isn't mapped either). A `multiple`
+ * field's index is a list of the indexes of its headers that are in the file.
+ */
+export function resolveColumnIndexes(headers, mapping) {
+  const normalized = headers.map(normalizeHeader);
+  const indexes = {};
+  const missing = [];
+
+  for (const field of IMPORT_FIELDS) {
+    if (field.multiple) {
+      const headerList = Array.isArray(mapping?.[field.key]) ? mapping[field.key] : [];
+      const fieldIndexes = headerList
+        .map((header) => normalized.indexOf(normalizeHeader(header)))
+        .filter((index) => index !== -1);
+      if (fieldIndexes.length) indexes[field.key] = fieldIndexes;
+      continue;
+    }
+
+    const header = mapping?.[field.key];
+    const index = header ? normalized.indexOf(normalizeHeader(header)) : -1;
+
+    if (index !== -1) {
+      indexes[field.key] = index;
+    }
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (!field.required || indexes[field.key] !== undefined) continue;
+    if (field.unlessMapped && indexes[field.unlessMapped] !== undefined) continue;
+    missing.push(field.label);
+  }
+
+  return { indexes, missing };
+}
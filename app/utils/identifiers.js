@@ -0,0 +1,105 @@
+/**
+ * Product identifiers an upload row can use to name a variant, and how each
+ * is normalised for matching. Shared by the server (lookups) and the preview.
+ *
+ * Types: "sku", "barcode" (GTIN/UPC/EAN), "id" (variant GID or legacy numeric
+ * ID) and "handle" (product handle plus option1/2/3 values).
+ */
+
+export const IDENTIFIER_LABELS = {
+  sku: "SKU",
+  barcode: "Barcode",
+  id: "Variant ID",
+  handle: "Handle + options",
+};
+
+// Values accepted in an identifier-type column, and header names that say
+// what the identifier column holds.
+const TYPE_ALIASES = {
+  sku: ["sku", "item code", "part number"],
+  barcode: ["barcode", "upc", "gtin", "ean", "ean13", "gtin13", "gtin14"],
+  id: ["variant id", "variant_id", "variantid", "variant gid", "id", "variant"],
+  handle: ["handle", "product handle"],
+};
+
+const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+
+export const normalizeSku = (sku) => String(sku || "").trim().toLowerCase();
+
+/**
+ * Helper: fold the typos customers make most often out of a SKU, so they
+ * compare equal: case, separators ("AB-12" / "AB 12" / "AB12"), O-for-0 and
+ * I/L-for-1 substitutions and dropped leading zeros.
+ */
+export function foldSku(sku) {
+  return normalizeSku(sku)
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/o/g, "0")
+    .replace(/[il]/g, "1")
+    .replace(/^0+(?=.)/, "");
+}
+
+/**
+ * Helper: a variant GID for a GID or legacy numeric ID, or null.
+ */
+export function toVariantGid(value) {
+  const text = String(value ?? "").trim();
+  if (/^\d+$/.test(text)) return `${VARIANT_GID_PREFIX}${text}`;
+  if (text.startsWith(VARIANT_GID_PREFIX) && /^\d+$/.test(text.slice(VARIANT_GID_PREFIX.length))) {
+    return text;
+  }
+  return null;
+}
+
+/**
+ * The key two identifiers of the same type are compared by.
+ */
+export function normalizeIdentifier(type, value) {
+  switch (type) {
+    case "barcode":
+      return String(value ?? "").replace(/\s+/g, "");
+    case "id":
+      return toVariantGid(value) || "";
+    case "handle":
+      return String(value ?? "").trim().toLowerCase();
+    default:
+      return normalizeSku(value);
+  }
+}
+
+/**
+ * Helper: identifier type named by an identifier-type cell or a column
+ * header ("UPC", "Variant ID"...), or null.
+ */
+export function identifierTypeFromText(text) {
+  const normalized = String(text ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!normalized) return null;
+
+  for (const [type, aliases] of Object.entries(TYPE_ALIASES)) {
+    if (aliases.includes(normalized)) return type;
+  }
+  return null;
+}
+
+/**
+ * The identifier types to try for a row, in order. A declared type is used
+ * alone; otherwise the value's shape decides: a variant GID is an ID, and a
+ * number that isn't a known SKU may be a barcode or a legacy variant ID. Rows
+ * with only a handle are looked up by handle.
+ */
+export function lookupPlan(row) {
+  if (row.identifierType) return [row.identifierType];
+
+  const value = String(row.sku ?? "").trim();
+  if (!value && row.handle) return ["handle"];
+  if (value.startsWith(VARIANT_GID_PREFIX)) return ["id"];
+
+  if (/^\d+$/.test(value)) {
+    const plan = ["sku"];
+    if (value.length >= 8 && value.length <= 14) plan.push("barcode");
+    plan.push("id");
+    return plan;
+  }
+
+  return ["sku"];
+}
@@ -0,0 +1,256 @@
+import * as XLSX from "xlsx";
+import { identifierTypeFromText } from "./identifiers";
+
+/**
+ * Read an uploaded CSV/Excel file. Throws when xlsx can't parse it.
+ */
+export function readWorkbook(buffer) {
+  return XLSX.read(buffer, { type: "buffer" });
+}
+
+const hasContent = (row) => row.some((cell) => String(cell ?? "").trim() !== "");
+
+// A purchase order label cell ("PO", "PO #", "P.O. Number:", "Purchase order
+// no.", "Customer PO 1234"...); the number follows in the same cell or the
+// next filled cell of the row.
+const PO_LABEL =
+  /^(?:customer\s+)?(?:p\.?o\.?|purchase\s+order)(?![a-z0-9])(?:\s*(?:number|num|no\.?|#))?\s*[:#-]?\s*(.*)$/i;
+
+/**
+ * Helper: the PO number a row above the column headers carries, or null when
+ * it isn't a PO row.
+ */
+function poNumberFromRow(row) {
+  const cells = row.map((cell) => String(cell ?? "").trim());
+  // A label and its value; a longer row is the column header row.
+  if (cells.filter(Boolean).length > 2) return null;
+
+  for (let i = 0; i < cells.length; i++) {
+    const match = cells[i].match(PO_LABEL);
+    if (!match) continue;
+
+    const value = match[1] || cells.slice(i + 1).find(Boolean) || "";
+    if (value) return value;
+  }
+
+  return null;
+}
+
+/**
+ * A sheet's cells as an array of rows (arrays), blanks as "".
+ * Returns { name, rows, firstRowNumber, poNumber }, where firstRowNumber is
+ * the spreadsheet row number (1-based) of rows[0], so every row can be
+ * reported back with the number the customer sees in their file.
+ *
+ * Rows above the column headers that carry a PO number ("PO Number: 1234",
+ * or "PO" then "1234") are taken out of `rows`; the number is `poNumber`.
+ */
+export function readSheet(workbook, name) {
+  const sheet = workbook.Sheets[name];
+  if (!sheet || !sheet["!ref"]) return { name, rows: [], firstRowNumber: 1, poNumber: null };
+
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    blankrows: true,
+  });
+
+  // Start at the first non-blank row that isn't a PO number, which is taken
+  // as the header row.
+  let poNumber = null;
+  let skippedRows = 0;
+  while (skippedRows < rows.length) {
+    const row = rows[skippedRows];
+    if (hasContent(row)) {
+      const rowPoNumber = poNumberFromRow(row);
+      if (rowPoNumber === null) break;
+      poNumber = poNumber || rowPoNumber;
+    }
+    skippedRows++;
+  }
+  if (skippedRows === rows.length) return { name, rows: [], firstRowNumber: 1, poNumber };
+
+  return {
+    name,
+    rows: rows.slice(skippedRows),
+    firstRowNumber: XLSX.utils.decode_range(sheet["!ref"]).s.r + 1 + skippedRows,
+    poNumber,
+  };
+}
+
+/**
+ * Every sheet of the workbook with its data row count (excluding the header
+ * row and blank rows) and its first few rows, for the sheet picker.
+ */
+export function summarizeSheets(workbook) {
+  return workbook.SheetNames.map((name) => {
+    const rows = readSheet(workbook, name).rows.filter(hasContent);
+    return {
+      name,
+      rowCount: Math.max(rows.length - 1, 0),
+      sampleRows: rows.slice(0, 4),
+    };
+  });
+}
+
+/**
+ * Helper: why a quantity cell can't be imported, or null when it's fine.
+ */
+function quantityProblem(rawQty) {
+  if (String(rawQty ?? "").trim() === "") return "Quantity is blank";
+
+  const quantity = Number(rawQty);
+  if (!Number.isFinite(quantity)) return "Quantity is not a number";
+  if (quantity <= 0) return "Quantity must be greater than 0";
+  if (!Number.isInteger(quantity)) return "Quantity must be a whole number";
+
+  return null;
+}
+
+const cellText = (row, index) =>
+  index !== undefined ? String(row[index] ?? "").trim() : "";
+
+/**
+ * Helper: a money cell ("$1,234.50", "12.5", "EUR 3") as a number, or NaN.
+ */
+function parseAmount(text) {
+  const digits = text.replace(/[^\d.,-]/g, "").replace(/,/g, "");
+  return digits ? Number(digits) : NaN;
+}
+
+/**
+ * Helper: a line discount cell as { valueType, value }: "10%" is a
+ * percentage off, a plain amount is taken off each unit. Returns null for a
+ * blank cell and { problem } when it can't be read.
+ */
+function parseDiscount(text) {
+  if (!text) return null;
+
+  const percentage = text.endsWith("%");
+  const value = parseAmount(percentage ? text.slice(0, -1) : text);
+
+  if (!Number.isFinite(value) || value < 0) return { problem: "Line discount is not a number" };
+  if (percentage && value > 100) return { problem: "Line discount is over 100%" };
+
+  return { valueType: percentage ? "PERCENTAGE" : "FIXED_AMOUNT", value };
+}
+
+/**
+ * Turn a sheet's data rows (everything after the header row) into parsed
+ * upload rows using the mapped column indexes (see resolveColumnIndexes).
+ *
+ * A row's identifier type comes from its identifier-type cell, else from the
+ * identifier column's header when that names a type other than SKU ("UPC",
+ * "Variant ID"...); otherwise it's left for the lookup to detect.
+ *
+ * Rows carry their line properties: `priceOverride` (unit price column),
+ * `discount` ({ valueType, value }) and `lineAttributes` ([{ key, value }]
+ * from the line note and line attribute columns, keyed by header).
+ *
+ * Returns { parsedRows, rejectedRows }. Every row keeps its spreadsheet row
+ * number; rows that can't be imported are returned in rejectedRows with the
+ * reason and their original cells. Completely blank rows are ignored.
+ */
+export function parseSheetRows(sheet, indexes) {
+  const parsedRows = [];
+  const rejectedRows = [];
+  const seenRows = new Map();
+
+  const headerType =
+    indexes.sku !== undefined ? identifierTypeFromText(sheet.rows[0]?.[indexes.sku]) : null;
+
+  sheet.rows.slice(1).forEach((row, idx) => {
+    if (!hasContent(row)) return;
+
+    const rowNumber = sheet.firstRowNumber + 1 + idx;
+    const rawQty = row[indexes.quantity];
+    const sku = cellText(row, indexes.sku);
+    const handle = cellText(row, indexes.handle);
+    const typeCell = cellText(row, indexes.identifierType);
+    const identifierType =
+      identifierTypeFromText(typeCell) || (sku && headerType !== "sku" ? headerType : null);
+
+    const reject = (reason) =>
+      rejectedRows.push({
+        sheetName: sheet.name,
+        rowNumber,
+        sku,
+        quantity: String(rawQty ?? ""),
+        values: row,
+        reason,
+      });
+
+    if (!sku && !handle) {
+      reject("Blank SKU / identifier");
+      return;
+    }
+
+    if (typeCell && !identifierTypeFromText(typeCell)) {
+      reject(`Unknown identifier type "${typeCell}"`);
+      return;
+    }
+
+    const problem = quantityProblem(rawQty);
+    if (problem) {
+      reject(problem);
+      return;
+    }
+
+    const priceText = cellText(row, indexes.unitPrice);
+    const priceOverride = priceText ? parseAmount(priceText) : null;
+    if (priceOverride !== null && !(priceOverride >= 0)) {
+      reject("Unit price is not a number");
+      return;
+    }
+
+    const discount = parseDiscount(cellText(row, indexes.discount));
+    if (discount?.problem) {
+      reject(discount.problem);
+      return;
+    }
+
+    // The same line pasted twice, not the same SKU ordered on two lines.
+    const rowKey = JSON.stringify(row.map((cell) => String(cell ?? "").trim()));
+    if (seenRows.has(rowKey)) {
+      reject(`Duplicate of row ${seenRows.get(rowKey)}`);
+      return;
+    }
+    seenRows.set(rowKey, rowNumber);
+
+    parsedRows.push({
+      sku,
+      identifierType,
+      handle: handle || (identifierType === "handle" ? sku : ""),
+      options: [
+        cellText(row, indexes.option1),
+        cellText(row, indexes.option2),
+        cellText(row, indexes.option3),
+      ],
+      sheetName: sheet.name,
+      rowNumber,
+      description: cellText(row, indexes.description),
+      priceOverride,
+      discount,
+      lineAttributes: [
+        ...(cellText(row, indexes.lineNote)
+          ? [{ key: "Note", value: cellText(row, indexes.lineNote) }]
+          : []),
+        ...(indexes.attributes || [])
+          .map((index) => ({
+            key: String(sheet.rows[0][index] ?? "").trim(),
+            value: cellText(row, index),
+          }))
+          .filter((attribute) => attribute.key && attribute.value),
+      ],
+      productName: "",
+      exist: false,
+      availableQuantity: 0,
+      quantityRequested: Number(rawQty),
+      fulfilledQuantity: 0,
+      status: "pending",
+      variantId: null,
+    });
+  });
+
+  return { parsedRows, rejectedRows };
+}
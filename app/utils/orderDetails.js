@@ -0,0 +1,118 @@
+/**
+ * Order-level details staff add on the upload form (PO number, note, tags,
+ * shipping address, required-by date and custom attributes). They travel from
+ * the upload form through the preview to the create form, are sent on draft
+ * creation and are stored with the upload.
+ */
+
+// MailingAddressInput fields a shipping address may carry.
+export const ADDRESS_FIELDS = [
+  "firstName",
+  "lastName",
+  "company",
+  "address1",
+  "address2",
+  "city",
+  "provinceCode",
+  "zip",
+  "countryCode",
+  "phone",
+];
+
+export const EMPTY_ORDER_DETAILS = {
+  poNumber: "",
+  note: "",
+  tags: [],
+  requiredBy: null,
+  customAttributes: [],
+  shippingAddress: null,
+};
+
+/**
+ * Comma-separated tags as a list, trimmed and without duplicates.
+ */
+export function parseTags(text) {
+  const tags = String(text ?? "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * "Key: value" lines as [{ key, value }]. Lines without a key are dropped;
+ * a key listed twice keeps its last value.
+ */
+export function parseCustomAttributes(text) {
+  const byKey = new Map();
+
+  for (const line of String(text ?? "").split(/\r?\n/)) {
+    const separator = line.indexOf(":");
+    const key = (separator === -1 ? line : line.slice(0, separator)).trim();
+    if (!key) continue;
+    byKey.set(key, separator === -1 ? "" : line.slice(separator + 1).trim());
+  }
+
+  return [...byKey].map(([key, value]) => ({ key, value }));
+}
+
+export const formatCustomAttributes = (attributes) =>
+  (attributes || []).map((attribute) => `${attribute.key}: ${attribute.value}`).join("\n");
+
+/**
+ * One line describing an address, for pickers and the preview.
+ */
+export function formatAddress(address) {
+  if (!address) return "";
+
+  const name = [address.firstName, address.lastName].filter(Boolean).join(" ");
+  return [
+    name,
+    address.company,
+    address.address1,
+    address.address2,
+    address.city,
+    [address.provinceCode, address.zip].filter(Boolean).join(" "),
+    address.countryCode,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Helper: a posted shipping address (JSON), reduced to ADDRESS_FIELDS, or
+ * null when there's none or it isn't valid.
+ */
+function parseShippingAddress(json) {
+  if (typeof json !== "string" || !json) return null;
+
+  try {
+    const posted = JSON.parse(json);
+    const address = {};
+    for (const field of ADDRESS_FIELDS) {
+      if (typeof posted?.[field] === "string" && posted[field].trim()) {
+        address[field] = posted[field].trim();
+      }
+    }
+    return address.address1 && address.countryCode ? address : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The order details posted with the upload form. The create intent reads
+ * them back from the preview session instead.
+ */
+export function orderDetailsFromForm(formData) {
+  const requiredBy = String(formData.get("requiredBy") || "").trim();
+
+  return {
+    poNumber: String(formData.get("poNumber") || "").trim(),
+    note: String(formData.get("orderNote") || "").trim(),
+    tags: parseTags(formData.get("tags")),
+    requiredBy: /^\d{4}-\d{2}-\d{2}$/.test(requiredBy) ? requiredBy : null,
+    customAttributes: parseCustomAttributes(formData.get("customAttributes")),
+    shippingAddress: parseShippingAddress(formData.get("shippingAddress")),
+  };
+}
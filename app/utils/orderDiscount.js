@@ -0,0 +1,107 @@
+/**
+ * Order-level discounts on bulk drafts: one chosen by staff in the preview (a
+ * percentage, a fixed amount or an existing discount code) or the shop's
+ * tiered discount rules, applied automatically by total quantity or order
+ * value. Shared by the preview, the create intent and the rules page.
+ */
+
+export const ORDER_DISCOUNT_TYPES = [
+  { value: "none", label: "No order discount" },
+  { value: "rule", label: "Discount rules" },
+  { value: "percentage", label: "Percentage off" },
+  { value: "fixed", label: "Fixed amount off" },
+  { value: "code", label: "Discount code" },
+];
+
+// What a discount rule's threshold is compared with.
+export const DISCOUNT_RULE_BASES = [
+  { value: "quantity", label: "Total quantity" },
+  { value: "value", label: "Order value" },
+];
+
+/**
+ * What `discount` ({ valueType, value }) takes off an order of `subtotal`.
+ */
+export function discountAmount(discount, subtotal) {
+  const amount =
+    discount.valueType === "PERCENTAGE" ? (subtotal * discount.value) / 100 : discount.value;
+  return Math.round(Math.min(Math.max(amount, 0), subtotal) * 100) / 100;
+}
+
+/**
+ * The rule that takes the most off an order with these totals, among those
+ * whose threshold it reaches, or null.
+ */
+export function matchDiscountRule(rules, { totalQuantity, subtotal }) {
+  let best = null;
+  let bestAmount = 0;
+
+  for (const rule of rules || []) {
+    const reached = rule.basis === "quantity" ? totalQuantity : subtotal;
+    if (reached < rule.threshold) continue;
+
+    const amount = discountAmount(rule, subtotal);
+    if (amount > bestAmount) {
+      best = rule;
+      bestAmount = amount;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * The order discount chosen on the preview's create form.
+ */
+export function orderDiscountFromForm(formData) {
+  const type = String(formData.get("discountType") || "none");
+
+  return {
+    type: ORDER_DISCOUNT_TYPES.some((option) => option.value === type) ? type : "none",
+    value: Number(formData.get("discountValue")) || 0,
+    code: String(formData.get("discountCode") || "").trim(),
+  };
+}
+
+/**
+ * Turn the chosen order discount into what goes on a draft with these totals.
+ *
+ * Returns null (no discount) or { type, valueType, value, title, code,
+ * amount }; amount is null for discount codes, which Shopify works out.
+ */
+export function resolveOrderDiscount(choice, rules, totals) {
+  if (choice.type === "code") {
+    if (!choice.code) return null;
+    return {
+      type: "code",
+      valueType: null,
+      value: null,
+      title: choice.code,
+      code: choice.code,
+      amount: null,
+    };
+  }
+
+  let discount = null;
+  if (choice.type === "rule") {
+    const rule = matchDiscountRule(rules, totals);
+    if (rule) discount = { valueType: rule.valueType, value: rule.value, title: rule.name };
+  } else if (choice.type === "percentage" && choice.value > 0) {
+    discount = {
+      valueType: "PERCENTAGE",
+      value: Math.min(choice.value, 100),
+      title: `${Math.min(choice.value, 100)}% off`,
+    };
+  } else if (choice.type === "fixed" && choice.value > 0) {
+    discount = { valueType: "FIXED_AMOUNT", value: choice.value, title: "Order discount" };
+  }
+
+  if (!discount) return null;
+
+  return {
+    type: choice.type,
+    ...discount,
+    code: null,
+    amount: discountAmount(discount, totals.subtotal),
+  };
+}
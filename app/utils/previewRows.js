@@ -0,0 +1,478 @@
+/**
+ * Preview row helpers shared by the server (when building the preview) and the
+ * browser (when staff change a row in the preview table).
+ */
+
+export const NOT_FOUND_NAME = "* * * * * * *";
+
+// Statuses for variants that resolve but can't go on the order at all.
+const PRODUCT_STATUS_BLOCKS = {
+  DRAFT: "draft product",
+  ARCHIVED: "archived product",
+};
+export const NOT_IN_CATALOG = "not in catalog";
+
+// Status for rows whose requested quantity breaks the variant's quantity rule.
+export const QUANTITY_RULE = "quantity rule";
+
+/**
+ * Helper: does `quantity` satisfy a quantity rule ({ minimum, maximum,
+ * increment }, maximum may be null)? No rule means anything goes.
+ */
+export function fitsQuantityRule(quantity, rule) {
+  if (!rule) return true;
+  return (
+    quantity >= rule.minimum &&
+    (rule.maximum == null || quantity <= rule.maximum) &&
+    quantity % rule.increment === 0
+  );
+}
+
+/**
+ * The valid quantity closest to `quantity` that a customer would accept:
+ * rounded up to the minimum and the next increment, but never past the maximum.
+ */
+export function roundToQuantityRule(quantity, rule) {
+  if (!rule) return quantity;
+
+  const increment = rule.increment || 1;
+  let rounded = Math.ceil(Math.max(quantity, rule.minimum) / increment) * increment;
+  if (rule.maximum != null && rounded > rule.maximum) {
+    rounded = Math.floor(rule.maximum / increment) * increment;
+  }
+  return rounded;
+}
+
+/**
+ * Helper: the largest valid quantity not above `limit`, or 0 when even the
+ * minimum doesn't fit.
+ */
+function largestValidQuantity(limit, rule) {
+  if (!rule) return limit;
+
+  const increment = rule.increment || 1;
+  let quantity = Math.floor(limit / increment) * increment;
+  if (rule.maximum != null) {
+    quantity = Math.min(quantity, Math.floor(rule.maximum / increment) * increment);
+  }
+  return quantity >= rule.minimum ? quantity : 0;
+}
+
+/**
+ * Helper: reduce a variant record to what a preview row needs to remember
+ * about a candidate variant.
+ *
+ * `locationIds` is the ranked list of locations to fulfil from (empty for
+ * every location). The candidate keeps its stock at those locations, in rank
+ * order, as `levels`; availableQuantity is their total.
+ */
+export function toCandidate(variant, locationIds = []) {
+  const productName = (variant.displayName || `SKU ${variant.sku}`).replace(
+    " - Default Title",
+    "",
+  );
+
+  const allLevels = variant.levels || [];
+  const levels = locationIds.length
+    ? locationIds.map((locationId) => ({
+        locationId,
+        available: allLevels.find((level) => level.locationId === locationId)?.available || 0,
+      }))
+    : allLevels.map((level) => ({ locationId: level.locationId, available: level.available }));
+
+  return {
+    variantId: variant.id,
+    productId: variant.productId || null,
+    sku: variant.sku || "",
+    productName,
+    availableQuantity: levels.reduce((sum, level) => sum + Math.max(level.available, 0), 0),
+    levels,
+    inventoryPolicy: variant.inventoryPolicy || "DENY",
+    blockedStatus: PRODUCT_STATUS_BLOCKS[variant.productStatus] || null,
+    quantityRule: null,
+    pricing: null,
+  };
+}
+
+/**
+ * Mark a row as not resolved to any variant ("sku not found", "error",
+ * "ambiguous"...).
+ */
+export function unresolvedRow(row, status, extra = {}) {
+  return {
+    ...row,
+    exist: false,
+    productName: NOT_FOUND_NAME,
+    availableQuantity: 0,
+    fulfilledQuantity: 0,
+    status,
+    variantId: null,
+    productId: null,
+    levels: [],
+    allocations: [],
+    committedElsewhere: 0,
+    blockedStatus: null,
+    quantityRule: null,
+    pricing: null,
+    ...extra,
+  };
+}
+
+/**
+ * Resolve a row to a candidate variant and work out how much of the requested
+ * quantity its stock can fulfil.
+ */
+export function resolveRow(row, candidate) {
+  const available = candidate.availableQuantity;
+
+  let fulfilledQuantity = 0;
+  let status = "ok";
+
+  if (available <= 0) {
+    fulfilledQuantity = 0;
+    status = "no stock";
+  } else if (row.quantityRequested > available) {
+    fulfilledQuantity = available;
+    status = "partial";
+  } else {
+    fulfilledQuantity = row.quantityRequested;
+    status = "ok";
+  }
+
+  return {
+    ...row,
+    exist: true,
+    productName: candidate.productName,
+    availableQuantity: available,
+    fulfilledQuantity,
+    status,
+    variantId: candidate.variantId,
+    productId: candidate.productId || null,
+    levels: candidate.levels || [],
+    committedElsewhere: candidate.committedQuantity || 0,
+    inventoryPolicy: candidate.inventoryPolicy || "DENY",
+    blockedStatus: candidate.blockedStatus || null,
+    quantityRule: candidate.quantityRule || null,
+    pricing: candidate.pricing || null,
+  };
+}
+
+/**
+ * Record the quantities already on other open draft orders (variant ID ->
+ * quantity) on rows and their candidates, suggestions and substitutes, then
+ * re-allocate.
+ */
+export function applyCommittedQuantities(rows, committed) {
+  const withCommitted = (candidate) => ({
+    ...candidate,
+    committedQuantity: committed.get(candidate.variantId) || 0,
+  });
+
+  return allocateRows(
+    rows.map((row) => ({
+      ...row,
+      committedElsewhere: row.variantId ? committed.get(row.variantId) || 0 : 0,
+      ...(row.candidates && { candidates: row.candidates.map(withCommitted) }),
+      ...(row.suggestions && { suggestions: row.suggestions.map(withCommitted) }),
+      ...(row.substitutes && { substitutes: row.substitutes.map(withCommitted) }),
+    })),
+  );
+}
+
+/**
+ * Refresh rows' stock from newly read variant records (variant ID -> record)
+ * and the quantities on other open drafts, then re-allocate. `locationIds` is
+ * the preview's ranked location list (see toCandidate). Rows whose variant
+ * has no record keep the stock they had.
+ */
+export function refreshRowStock(rows, records, committed, locationIds = []) {
+  const refreshed = rows.map((row) => {
+    const record = row.variantId ? records.get(row.variantId) : null;
+    if (!record) return row;
+
+    const candidate = toCandidate(record, locationIds);
+    return {
+      ...row,
+      availableQuantity: candidate.availableQuantity,
+      levels: candidate.levels,
+      inventoryPolicy: candidate.inventoryPolicy,
+    };
+  });
+
+  return applyCommittedQuantities(refreshed, committed);
+}
+
+/**
+ * Rows whose fulfilled quantity differs between two versions of the same
+ * preview: [{ rowIndex, sheetName, rowNumber, sku, productName,
+ * previousFulfilled, newFulfilled }].
+ */
+export function fulfilledQuantityChanges(previousRows, rows) {
+  const changes = [];
+
+  rows.forEach((row, rowIndex) => {
+    const previousFulfilled = previousRows[rowIndex]?.fulfilledQuantity || 0;
+    const newFulfilled = row.fulfilledQuantity || 0;
+    if (previousFulfilled === newFulfilled) return;
+
+    changes.push({
+      rowIndex,
+      sheetName: row.sheetName || "",
+      rowNumber: row.rowNumber,
+      sku: row.substitutedFrom ? row.substituteSku : row.sku,
+      productName: row.productName,
+      previousFulfilled,
+      newFulfilled,
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Record the company location's catalog rules (variant ID -> { inCatalog,
+ * quantityRule }) on rows and their candidates, suggestions and substitutes,
+ * then re-allocate. Variants missing from the catalog are blocked; product
+ * status blocks (draft/archived) take precedence.
+ */
+export function applyB2BRules(rows, rules) {
+  const withRules = (item, variantId) => {
+    const rule = rules.get(variantId);
+    if (!rule) return item;
+    return {
+      ...item,
+      blockedStatus: item.blockedStatus || (rule.inCatalog ? null : NOT_IN_CATALOG),
+      quantityRule: rule.quantityRule,
+    };
+  };
+  const candidatesWithRules = (list) =>
+    list.map((candidate) => withRules(candidate, candidate.variantId));
+
+  return allocateRows(
+    rows.map((row) => ({
+      ...(row.variantId ? withRules(row, row.variantId) : row),
+      ...(row.candidates && { candidates: candidatesWithRules(row.candidates) }),
+      ...(row.suggestions && { suggestions: candidatesWithRules(row.suggestions) }),
+      ...(row.substitutes && { substitutes: candidatesWithRules(row.substitutes) }),
+    })),
+  );
+}
+
+/**
+ * Record what the customer pays (variant ID -> pricing, see getVariantPricing)
+ * on rows and their candidates, suggestions and substitutes.
+ */
+export function applyPricing(rows, prices) {
+  const withPricing = (item) => {
+    const pricing = prices.get(item.variantId);
+    return pricing ? { ...item, pricing } : item;
+  };
+
+  return rows.map((row) => ({
+    ...(row.variantId ? withPricing(row) : row),
+    ...(row.candidates && { candidates: row.candidates.map(withPricing) }),
+    ...(row.suggestions && { suggestions: row.suggestions.map(withPricing) }),
+    ...(row.substitutes && { substitutes: row.substitutes.map(withPricing) }),
+  }));
+}
+
+/**
+ * Allocate stock across resolved rows in file order. Each row is filled from
+ * its variant's locations in rank order (see toCandidate), and rows that
+ * resolve to the same variant draw on one shared pool per location, so a SKU
+ * listed on several lines can't be promised more than once. Units committed
+ * to other open drafts (`committedElsewhere`) come out of the pool first,
+ * from the first-ranked location down.
+ *
+ * Rows blocked from the order (`blockedStatus`) take nothing. Rows with a
+ * quantity rule are only given quantities the rule allows, and get the
+ * "quantity rule" status when the requested quantity itself breaks it.
+ *
+ * Rows get `allocations`: [{ locationId, quantity }] for the stock they take.
+ * Rows in a shared pool get `sharedWith`: every row of the pool (including
+ * itself) as { sheetName, rowNumber, quantityRequested, fulfilledQuantity }.
+ */
+export function allocateRows(rows) {
+  const remaining = new Map();
+
+  const allocated = rows.map((row) => {
+    if (!row.exist || !row.variantId) return row;
+
+    if (row.blockedStatus) {
+      return {
+        ...row,
+        fulfilledQuantity: 0,
+        allocations: [],
+        status: row.blockedStatus,
+        sharedWith: undefined,
+      };
+    }
+
+    if (!remaining.has(row.variantId)) {
+      const levels = row.levels?.length
+        ? row.levels
+        : [{ locationId: null, available: row.availableQuantity }];
+      let committed = row.committedElsewhere || 0;
+      const pool = new Map();
+      for (const level of levels) {
+        const available = Math.max(level.available, 0);
+        const taken = Math.min(committed, available);
+        committed -= taken;
+        pool.set(level.locationId, available - taken);
+      }
+      remaining.set(row.variantId, pool);
+    }
+    const pool = remaining.get(row.variantId);
+
+    let poolTotal = 0;
+    for (const available of pool.values()) poolTotal += available;
+    const target = largestValidQuantity(Math.min(row.quantityRequested, poolTotal), row.quantityRule);
+
+    let outstanding = target;
+    const allocations = [];
+    for (const [locationId, available] of pool) {
+      const quantity = Math.min(outstanding, available);
+      if (quantity <= 0) continue;
+
+      allocations.push({ locationId, quantity });
+      pool.set(locationId, available - quantity);
+      outstanding -= quantity;
+    }
+
+    const fulfilledQuantity = target - outstanding;
+
+    let status = "ok";
+    if (!fitsQuantityRule(row.quantityRequested, row.quantityRule)) status = QUANTITY_RULE;
+    else if (fulfilledQuantity <= 0) status = "no stock";
+    else if (fulfilledQuantity < row.quantityRequested) status = "partial";
+
+    return { ...row, fulfilledQuantity, allocations, status, sharedWith: undefined };
+  });
+
+  const byVariant = new Map();
+  for (const row of allocated) {
+    if (!row.exist || !row.variantId || row.blockedStatus) continue;
+    if (!byVariant.has(row.variantId)) byVariant.set(row.variantId, []);
+    byVariant.get(row.variantId).push(row);
+  }
+
+  for (const group of byVariant.values()) {
+    if (group.length < 2) continue;
+
+    const sharedWith = group.map((row) => ({
+      sheetName: row.sheetName,
+      rowNumber: row.rowNumber,
+      quantityRequested: row.quantityRequested,
+      fulfilledQuantity: row.fulfilledQuantity,
+    }));
+    for (const row of group) {
+      row.sharedWith = sharedWith;
+    }
+  }
+
+  return allocated;
+}
+
+/**
+ * Helper: a row after one staff choice, or null when the choice isn't one the
+ * row offers. See applyPreviewChoices.
+ */
+function applyChoiceToRow(row, choice) {
+  const offered = (list) => (list || []).find((c) => c.variantId === choice.variantId);
+
+  switch (choice.type) {
+    case "candidate": {
+      const candidate = offered(row.candidates);
+      return candidate ? resolveRow(row, candidate) : null;
+    }
+    case "suggestion": {
+      const suggestion = offered(row.suggestions);
+      return suggestion
+        ? { ...resolveRow(row, suggestion), matchedOn: "sku", acceptedSuggestion: suggestion.sku }
+        : null;
+    }
+    case "undoSuggestion":
+      return row.acceptedSuggestion
+        ? unresolvedRow(row, "sku not found", {
+            matchedOn: undefined,
+            acceptedSuggestion: undefined,
+          })
+        : null;
+    case "substitute": {
+      if (!choice.variantId) {
+        return row.substitutedFrom
+          ? {
+              ...resolveRow(row, row.substitutedFrom.candidate),
+              substitutedFrom: undefined,
+              substituteSku: undefined,
+            }
+          : row;
+      }
+
+      const substitute = offered(row.substitutes);
+      if (!substitute) return null;
+
+      const substitutedFrom = row.substitutedFrom || {
+        sku: row.sku,
+        productName: row.productName,
+        candidate: {
+          variantId: row.variantId,
+          productId: row.productId,
+          productName: row.productName,
+          availableQuantity: row.availableQuantity,
+          levels: row.levels,
+          committedQuantity: row.committedElsewhere,
+          inventoryPolicy: row.inventoryPolicy,
+          blockedStatus: row.blockedStatus,
+          quantityRule: row.quantityRule,
+          pricing: row.pricing,
+        },
+      };
+      return { ...resolveRow(row, substitute), substitutedFrom, substituteSku: substitute.sku };
+    }
+    case "round":
+      return row.quantityRule
+        ? {
+            ...row,
+            quantityRequested: roundToQuantityRule(row.quantityRequested, row.quantityRule),
+          }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Replay staff choices made in the preview table over the preview's rows, in
+ * order. The browser keeps only the choices and the create intent replays them
+ * over the rows saved with the preview, so a choice can only pick from what the
+ * preview offered.
+ *
+ * Choices are { type, rowIndex, variantId }, with type "candidate" (one of an
+ * ambiguous row's candidates), "suggestion" (a suggested SKU), "undoSuggestion",
+ * "substitute" (variantId null to undo) or "round" (round the quantity to the
+ * variant's quantity rule; rowIndex null rounds every QUANTITY_RULE row).
+ *
+ * Returns the rows, re-allocated, or null if any choice isn't valid for them.
+ */
+export function applyPreviewChoices(rows, choices) {
+  let current = rows;
+
+  for (const choice of choices || []) {
+    if (choice?.type === "round" && choice.rowIndex === null) {
+      current = current.map((row) =>
+        row.status === QUANTITY_RULE ? applyChoiceToRow(row, choice) : row,
+      );
+    } else {
+      const rowIndex = choice?.rowIndex;
+      if (!Number.isInteger(rowIndex) || !current[rowIndex]) return null;
+
+      const row = applyChoiceToRow(current[rowIndex], choice);
+      if (!row) return null;
+      current = current.map((existing, idx) => (idx === rowIndex ? row : existing));
+    }
+    current = allocateRows(current);
+  }
+
+  return current;
+}
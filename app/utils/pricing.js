@@ -0,0 +1,80 @@
+import { orderQuantityFor } from "./backorders";
+
+/**
+ * The unit price for `quantity` of a variant: the best volume price break
+ * the quantity reaches, else its (contextual) price. Null without pricing.
+ */
+export function unitPriceFor(pricing, quantity) {
+  if (!pricing) return null;
+
+  let price = pricing.price;
+  for (const priceBreak of pricing.priceBreaks || []) {
+    if (quantity >= priceBreak.minimumQuantity && priceBreak.price < price) {
+      price = priceBreak.price;
+    }
+  }
+  return price;
+}
+
+/**
+ * Helper: a row's unit price for `variantQuantity` units of its variant: its
+ * price override, else the catalog / volume price, less its line discount.
+ */
+function rowUnitPrice(row, variantQuantity) {
+  let price = row.priceOverride ?? unitPriceFor(row.pricing, variantQuantity);
+  if (price === null || price === undefined) return null;
+
+  if (row.discount?.valueType === "PERCENTAGE") {
+    price *= 1 - row.discount.value / 100;
+  } else if (row.discount?.valueType === "FIXED_AMOUNT") {
+    price = Math.max(price - row.discount.value, 0);
+  }
+
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Price preview rows as they'd be ordered under the backorder `policy` (see
+ * orderQuantityFor). Rows for the same variant become one draft line, so
+ * volume price breaks apply to the variant's total quantity. Price overrides
+ * and line discounts from the file (see parseSheetRows) are applied.
+ *
+ * Returns { lines, subtotal, currencyCode } where lines has, per row,
+ * { quantity, unitPrice, lineTotal } or null when the row isn't ordered or
+ * has no price.
+ */
+export function priceRows(rows, policy) {
+  const quantities = rows.map((row) => orderQuantityFor(row, policy));
+
+  const variantTotals = new Map();
+  rows.forEach((row, idx) => {
+    if (!quantities[idx]) return;
+    variantTotals.set(row.variantId, (variantTotals.get(row.variantId) || 0) + quantities[idx]);
+  });
+
+  let subtotal = 0;
+  let currencyCode = null;
+
+  const lines = rows.map((row, idx) => {
+    const quantity = quantities[idx];
+    const unitPrice = rowUnitPrice(row, variantTotals.get(row.variantId) || 0);
+    if (!quantity || unitPrice === null) return null;
+
+    const lineTotal = Math.round(unitPrice * quantity * 100) / 100;
+    subtotal += lineTotal;
+    currencyCode = currencyCode || row.pricing?.currencyCode || null;
+
+    return { quantity, unitPrice, lineTotal };
+  });
+
+  return { lines, subtotal: Math.round(subtotal * 100) / 100, currencyCode };
+}
+
+export function formatMoney(amount, currencyCode) {
+  if (amount === null || amount === undefined) return "—";
+  if (!currencyCode) return amount.toFixed(2);
+
+  return new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).format(
+    amount,
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * Builds the annotated "rejected rows" workbook in the browser, so staff can
+ * send it back to the customer. One worksheet per source sheet: the original
+ * header row and cells, plus the source row number and the rejection reason.
+ */
+
+// Excel limits sheet names to 31 characters and forbids []:*?/\
+const safeSheetName = (name, used) => {
+  const base = (String(name || "Rejected rows").replace(/[[\]:*?/\\]/g, " ").trim() || "Rejected rows").slice(0, 31);
+  let candidate = base;
+  for (let n = 2; used.has(candidate); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+export async function downloadRejectedRows(rejectedRows, sheetHeaders, fileName) {
+  // Loaded on demand: the import page doesn't otherwise need xlsx in the browser.
+  const XLSX = await import("xlsx");
+
+  const bySheet = new Map();
+  for (const row of rejectedRows) {
+    const key = row.sheetName || "";
+    if (!bySheet.has(key)) bySheet.set(key, []);
+    bySheet.get(key).push(row);
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  for (const [sheetName, rows] of bySheet) {
+    const headers = sheetHeaders?.[sheetName] || [];
+    const width = Math.max(headers.length, ...rows.map((row) => row.values.length));
+    const pad = (cells) => [...cells, ...Array(width - cells.length).fill("")];
+
+    const aoa = [
+      [...pad(headers), "Source row", "Rejected reason"],
+      ...rows.map((row) => [...pad(row.values), row.rowNumber, row.reason]),
+    ];
+
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(aoa),
+      safeSheetName(sheetName, usedNames),
+    );
+  }
+
+  XLSX.writeFile(workbook, fileName);
+}
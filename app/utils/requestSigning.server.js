@@ -0,0 +1,31 @@
+import { createHmac } from "node:crypto";
+
+/**
+ * Signing for requests to the external order service, so it can check they
+ * come from this app and aren't replayed.
+ *
+ * Each request carries the Unix time (seconds) it was sent in
+ * SIGNATURE_TIMESTAMP_HEADER and, in SIGNATURE_HEADER, "sha256=" plus the hex
+ * HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the shop's shared
+ * secret. The service should recompute it, compare in constant time and
+ * reject timestamps more than a few minutes old.
+ */
+
+export const SIGNATURE_HEADER = "X-Import-Signature";
+export const SIGNATURE_TIMESTAMP_HEADER = "X-Import-Timestamp";
+
+export function signatureFor(secret, timestamp, body) {
+  return "sha256=" + createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * The signature headers for sending `body` (the exact string sent) now.
+ */
+export function signedHeaders(secret, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return {
+    [SIGNATURE_TIMESTAMP_HEADER]: timestamp,
+    [SIGNATURE_HEADER]: signatureFor(secret, timestamp, body),
+  };
+}
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "CatalogVariant" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "sku" TEXT,
+    "skuNormalized" TEXT,
+    "barcode" TEXT,
+    "displayName" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogInventoryLevel" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CatalogInventoryLevel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogSync" (
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "bulkOperationId" TEXT,
+    "variantCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "lastWebhookAt" TIMESTAMP(3),
+
+    CONSTRAINT "CatalogSync_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_skuNormalized_idx" ON "CatalogVariant"("shop", "skuNormalized");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_productId_idx" ON "CatalogVariant"("shop", "productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogVariant_shop_variantId_key" ON "CatalogVariant"("shop", "variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogInventoryLevel_shop_inventoryItemId_locationId_key" ON "CatalogInventoryLevel"("shop", "inventoryItemId", "locationId");
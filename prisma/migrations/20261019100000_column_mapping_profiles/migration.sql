@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "ColumnMappingProfile" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "customerId" TEXT,
+    "headerSignature" TEXT NOT NULL,
+    "mapping" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ColumnMappingProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ColumnMappingProfile_shop_headerSignature_idx" ON "ColumnMappingProfile"("shop", "headerSignature");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ColumnMappingProfile_shop_name_key" ON "ColumnMappingProfile"("shop", "name");
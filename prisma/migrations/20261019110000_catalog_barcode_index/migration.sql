@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_barcode_idx" ON "CatalogVariant"("shop", "barcode");
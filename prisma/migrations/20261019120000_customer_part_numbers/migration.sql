@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CustomerPartNumber" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "customerCode" TEXT NOT NULL,
+    "codeNormalized" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomerPartNumber_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerPartNumber_shop_customerName_idx" ON "CustomerPartNumber"("shop", "customerName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerPartNumber_shop_customerId_codeNormalized_key" ON "CustomerPartNumber"("shop", "customerId", "codeNormalized");
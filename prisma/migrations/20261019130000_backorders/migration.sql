@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ADD COLUMN     "backorderLines" JSONB,
+ADD COLUMN     "backorderPolicy" TEXT,
+ADD COLUMN     "backorderQuantity" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "isBackorder" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "CatalogVariant" ADD COLUMN     "inventoryPolicy" TEXT NOT NULL DEFAULT 'DENY';
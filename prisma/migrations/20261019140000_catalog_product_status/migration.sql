@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CatalogVariant" ADD COLUMN     "productStatus" TEXT NOT NULL DEFAULT 'ACTIVE';
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ADD COLUMN     "companyContactId" TEXT,
+ADD COLUMN     "companyId" TEXT,
+ADD COLUMN     "companyLocationId" TEXT,
+ADD COLUMN     "companyLocationName" TEXT,
+ADD COLUMN     "companyName" TEXT;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ADD COLUMN     "customAttributes" JSONB,
+ADD COLUMN     "orderNote" TEXT,
+ADD COLUMN     "poNumber" TEXT,
+ADD COLUMN     "requiredBy" TIMESTAMP(3),
+ADD COLUMN     "shippingAddress" JSONB,
+ADD COLUMN     "tags" JSONB;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ADD COLUMN     "orderDiscount" JSONB;
+
+-- CreateTable
+CREATE TABLE "OrderDiscountRule" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "basis" TEXT NOT NULL,
+    "threshold" DOUBLE PRECISION NOT NULL,
+    "valueType" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderDiscountRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderDiscountRule_shop_idx" ON "OrderDiscountRule"("shop");
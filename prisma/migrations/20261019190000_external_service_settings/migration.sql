@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN     "externalBaseUrl" TEXT,
+ADD COLUMN     "sharedSecret" TEXT,
+ALTER COLUMN "orderBackend" SET DEFAULT 'shopify';
+
+-- Shops already on the external service keep the URL that used to be built in.
+UPDATE "ShopSettings" SET "externalBaseUrl" = 'https://dev.bloomandgrowgroup.com' WHERE "orderBackend" = 'external';
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PreviewSession" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "companyLocationId" TEXT,
+    "sheetMode" TEXT NOT NULL,
+    "rows" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PreviewSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PreviewSession_shop_userId_idx" ON "PreviewSession"("shop", "userId");
+
+-- CreateIndex
+CREATE INDEX "PreviewSession_expiresAt_idx" ON "PreviewSession"("expiresAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PreviewSession" ADD COLUMN     "display" JSONB;
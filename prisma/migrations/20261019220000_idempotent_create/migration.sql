@@ -0,0 +1,16 @@
+-- Previews saved before this migration can't be confirmed any more.
+DELETE FROM "PreviewSession";
+
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- AlterTable
+ALTER TABLE "PreviewSession" ADD COLUMN     "claimedAt" TIMESTAMP(3),
+ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "idempotencyKey" TEXT NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BulkOrderUpload_idempotencyKey_key" ON "BulkOrderUpload"("idempotencyKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PreviewSession_idempotencyKey_key" ON "PreviewSession"("idempotencyKey");
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "CatalogVariant" ADD COLUMN     "skuFolded" TEXT;
+
+-- Backfill with the same folding as foldSku in app/utils/identifiers.js.
+UPDATE "CatalogVariant"
+SET "skuFolded" = NULLIF(
+  regexp_replace(
+    translate(regexp_replace("skuNormalized", '[^a-z0-9]', '', 'g'), 'oil', '011'),
+    '^0+(?=.)', ''
+  ),
+  ''
+)
+WHERE "skuNormalized" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_skuFolded_idx" ON "CatalogVariant"("shop", "skuFolded");
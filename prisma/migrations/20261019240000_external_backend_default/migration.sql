@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ALTER COLUMN "orderBackend" SET DEFAULT 'external';
+
+-- Shops on the external service without a URL keep the one that used to be built in.
+UPDATE "ShopSettings" SET "externalBaseUrl" = 'https://dev.bloomandgrowgroup.com' WHERE "orderBackend" = 'external' AND "externalBaseUrl" IS NULL;
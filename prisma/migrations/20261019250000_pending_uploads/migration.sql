@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BulkOrderUpload" ALTER COLUMN "orderId" DROP NOT NULL;